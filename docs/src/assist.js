@@ -1,4 +1,104 @@
 // Created by: Justin Meiners (2022)
+function makeRecognitionProfile(base, overrides) {
+    const shapes = Object.assign({}, base.shapes);
+    for (const name in overrides.shapes) {
+        shapes[name] = Object.assign({}, shapes[name], overrides.shapes[name]);
+    }
+    return Object.assign({}, base, overrides, { shapes: shapes });
+};
+
+function shapeProfile(profile, name) {
+    return Object.assign({}, profile, profile.shapes[name]);
+};
+
+const recognitionProfiles = {};
+
+recognitionProfiles.standard = {
+    sampleSpacing: 6,
+    maxIterations: 1000,
+    minimumTolerance: 2.0,
+    relativeTolerance: 0.03,
+    noise: 0.5,
+    lengthTolerance: 0.15,
+    minimumSize: 6,
+    minimumAspect: 1.15,
+    cornerAngle: Math.PI / 6,
+    maxSides: 10,
+    closeGap: 0.15,
+    maxCandidateIterations: 50,
+    minimumSweep: Math.PI / 4,
+    minimumStarDepth: 0.2,
+    enabled: true,
+    shapes: {
+        circle: { minimumSize: 3 }
+    }
+};
+
+recognitionProfiles.strict = makeRecognitionProfile(recognitionProfiles.standard, {
+    sampleSpacing: 4,
+    maxIterations: 2000,
+    minimumTolerance: 1.0,
+    relativeTolerance: 0.015,
+    lengthTolerance: 0.08,
+    closeGap: 0.08,
+    minimumSize: 10,
+    minimumAspect: 1.25
+});
+
+recognitionProfiles.lenient = makeRecognitionProfile(recognitionProfiles.standard, {
+    minimumTolerance: 3.0,
+    relativeTolerance: 0.05,
+    lengthTolerance: 0.25,
+    closeGap: 0.25,
+    minimumSize: 4,
+    minimumAspect: 1.1
+});
+
+recognitionProfiles.touch = makeRecognitionProfile(recognitionProfiles.standard, {
+    sampleSpacing: 12,
+    minimumTolerance: 5.0,
+    relativeTolerance: 0.05,
+    noise: 2.0,
+    lengthTolerance: 0.25,
+    closeGap: 0.25,
+    minimumSize: 20,
+    shapes: {
+        circle: { minimumSize: 20 }
+    }
+});
+function fitModel(model, points, options = {}, profile = recognitionProfiles.standard) {
+    const parameters = model.parameters;
+
+    let settings = {
+        maxIterations: profile.maxIterations,
+        lower: parameters.map(p => p.lower == null ? null : p.lower),
+        upper: parameters.map(p => p.upper == null ? null : p.upper),
+        stepSizes: guessStepSizes(points, parameters.map(p => p.kind)),
+        starts: model.starts ? model.starts(points) : [],
+        optimize: multivarOptimize
+    };
+
+    if (model.residuals) {
+        settings.method = "least-squares";
+        settings.residuals = model.residuals(points);
+    }
+
+    settings = extendOptions(extendOptions(settings, model.options), options);
+    const pending = multiStartOptimize(model.guess(points), model.cost(points), settings);
+
+    return whenDone(pending, result => {
+        const shape = model.fromVars(result.vars);
+        if (model.matches && !model.matches(points, shape, profile)) return null;
+
+        return {
+            params: shape,
+            cost: result.cost,
+            residuals: result.residuals ? Array.from(result.residuals) : null,
+            parameterCount: parameters.length,
+            stroke: points
+        };
+    });
+};
 function sumOfSquares(distances) {
     return distances.reduce((total, term) => total + term * term, 0);
 };
@@ -19,18 +119,31 @@ function makeLineCost(points) {
     return vars => lineDistance2(points, varsToLine(vars));
 };
 
-function tryLineFit(points) {
-    const centroid = Vec.centroid(points);
+function makeLineResiduals(points) {
+    return vars => {
+        const line = varsToLine(vars);
+        const normal = line.direction.orthogonal();
+        return points.map(p => Vec.sub(p, line.origin).dot(normal));
+    };
+};
 
-    const initial = [ centroid.x, centroid.y, 0 ];
-    const result = multivarOptimize(initial, makeLineCost(points), {
-        maxIterations: 1000
-    });
+const lineModel = {
+    parameters: [
+        { name: "origin.x", kind: "position" },
+        { name: "origin.y", kind: "position" },
+        { name: "angle", kind: "angle" }
+    ],
+    guess: points => {
+        const centroid = Vec.centroid(points);
+        return [ centroid.x, centroid.y, 0 ];
+    },
+    fromVars: varsToLine,
+    cost: makeLineCost,
+    residuals: makeLineResiduals
+};
 
-    return {
-        cost: result.cost,
-        path: lineToDrawing(points, varsToLine(result.vars))
-    };
+function tryLineFit(points, optimize = multivarOptimize, profile = recognitionProfiles.standard) {
+    return fitModel(lineModel, points, { optimize: optimize }, profile);
 };
 
 function lineToDrawing(points, line) {
@@ -63,33 +176,43 @@ function makeCircleCost(points) {
     return vars => circleDistance2(points, varsToCircle(vars));
 };
 
-function tryCircleFit(points) {
-    const centroid = Vec.centroid(points);
-    const [minPoint, maxPoint] = Vec.bounds(points);
-
-    const initial = [
-        centroid.x, centroid.y,
-        Math.max(maxPoint.x - minPoint.x, maxPoint.y - minPoint.y)
-    ];
-    const result = multivarOptimize(initial, makeCircleCost(points), {
-        maxIterations: 1000
-    });
+function makeCircleResiduals(points) {
+    return vars => {
+        const circle = varsToCircle(vars);
+        return points.map(p => Vec.sub(p, circle.origin).len() - circle.radius);
+    };
+};
 
-    const circle = varsToCircle(result.vars);
-    if (!circleMatches(points, circle)) return null;
+const circleModel = {
+    parameters: [
+        { name: "origin.x", kind: "position" },
+        { name: "origin.y", kind: "position" },
+        { name: "radius", kind: "size", lower: 0 }
+    ],
+    guess: points => {
+        const centroid = Vec.centroid(points);
+        const [minPoint, maxPoint] = Vec.bounds(points);
+        return [
+            centroid.x, centroid.y,
+            Math.max(maxPoint.x - minPoint.x, maxPoint.y - minPoint.y)
+        ];
+    },
+    fromVars: varsToCircle,
+    cost: makeCircleCost,
+    residuals: makeCircleResiduals,
+    matches: circleMatches
+};
 
-    return {
-        cost: result.cost,
-        circle: circle
-    };
+function tryCircleFit(points, optimize = multivarOptimize, profile = recognitionProfiles.standard) {
+    return fitModel(circleModel, points, { optimize: optimize }, profile);
 };
 
-function circleMatches(path, circle) {
-    const circumference = 2.0 * Math.PI * circle.radius;
-    if (circumference < 10) return false;
+function circleMatches(path, circle, profile = recognitionProfiles.standard) {
+    if (2.0 * circle.radius < profile.minimumSize) return false;
 
+    const circumference = 2.0 * Math.PI * circle.radius;
     const ratio = Vec.pathLen(path) / circumference;
-    return Math.abs(ratio - 1.0) < 0.15;
+    return Math.abs(ratio - 1.0) < profile.lengthTolerance;
 };
 function simpleRectDistance(point, size) {
     function classify(x, min, max) {
@@ -154,36 +277,58 @@ function varsToRect(vars) {
 function makeRectCost(points) {
     return vars => orientedRectDistances2(points, varsToRect(vars));
 };
+function rectGuess(points, angle) {
+    const toLocal = Matrix.fromAngle(-angle);
+    const [ minPoint, maxPoint ] = Vec.bounds(points.map(p => toLocal.transform(p)));
+    const translate = Matrix.fromAngle(angle).transform(minPoint);
 
-function tryRectFit(points) {
-    const [ minPoint, maxPoint ] = Vec.bounds(points);
-
-    const initial = [
-        minPoint.x, minPoint.y,
+    return [
+        translate.x, translate.y,
         maxPoint.x - minPoint.x, maxPoint.y - minPoint.y,
-        0
+        angle
     ];
+};
 
-    const result = multivarOptimize(initial, makeRectCost(points), {
-        maxIterations: 1000
-    });
-
-    const rect = varsToRect(result.vars);
-    if (!rectMatches(points, rect)) return null;
+function guessStepSizes(points, kinds) {
+    const [ minPoint, maxPoint ] = Vec.bounds(points);
+    const extent = Math.max(maxPoint.x - minPoint.x, maxPoint.y - minPoint.y, 1);
 
-    return {
-        cost: result.cost,
-        path: rectToDrawing(rect)
+    const steps = {
+        position: 0.1 * extent,
+        size: 0.1 * extent,
+        angle: Math.PI / 16
     };
+    return kinds.map(kind => steps[kind]);
+};
+
+const rectModel = {
+    parameters: [
+        { name: "translate.x", kind: "position" },
+        { name: "translate.y", kind: "position" },
+        { name: "size.x", kind: "size", lower: 0 },
+        { name: "size.y", kind: "size", lower: 0 },
+        { name: "angle", kind: "angle" }
+    ],
+    guess: points => rectGuess(points, 0),
+    starts: points => [ Math.PI / 8, Math.PI / 4, 3 * Math.PI / 8 ].map(angle => rectGuess(points, angle)),
+    fromVars: varsToRect,
+    cost: makeRectCost,
+    matches: rectMatches,
+    options: { restarts: 1 }
 };
-function rectMatches(path, rect) {
-    if (rect.size.x < 6 || rect.size.y < 6) {
+
+function tryRectFit(points, optimize = multivarOptimize, profile = recognitionProfiles.standard) {
+    return fitModel(rectModel, points, { optimize: optimize }, profile);
+};
+
+function rectMatches(path, rect, profile = recognitionProfiles.standard) {
+    if (rect.size.x < profile.minimumSize || rect.size.y < profile.minimumSize) {
         return false;
     }
 
     const length = rect.size.x * 2 + rect.size.y * 2;
     const ratio = Vec.pathLen(path) / length;
-    return Math.abs(ratio - 1.0) < 0.15;
+    return Math.abs(ratio - 1.0) < profile.lengthTolerance;
 };
 function rectToDrawing(rect) {
     const points = [
@@ -197,23 +342,208 @@ function rectToDrawing(rect) {
     const A = buildTransform(rect.translate, rect.angle);
     return points.map(p => A.transform(p));
 };
+const shapeTypes = [];
+
+function registerShapeType(type) {
+    shapeTypes.push(Object.assign({
+        fit: null,
+        toJSON: encodeVecs,
+        fromJSON: decodeVecs
+    }, type));
+};
+
+function findShapeType(name) {
+    return shapeTypes.find(type => type.name === name);
+};
 
-var fitFunctions = [
-    tryLineFit,
-    tryCircleFit,
-    tryRectFit
-];
+function withType(type, shape) {
+    return shape && Object.assign({ type: type.name }, shape);
+};
 
-function tryShapeFit(path) {
-    const results = fitFunctions.map(f => f(path)).filter(x => x);
-    const best = results.reduce((a, b) => b.cost < a.cost ? b : a);
+function shapeToJSON(shape) {
+    const data = findShapeType(shape.type).toJSON(shape);
+    if (shape.alternatives) data.alternatives = shape.alternatives.map(shapeToJSON);
+    return data;
+};
 
-    function acceptableTolerance(path) {
-        const perPointTolerance = 6.0;
-        return path.length * perPointTolerance * perPointTolerance;
+function shapeFromJSON(data) {
+    const shape = findShapeType(data.type).fromJSON(data);
+    if (data.alternatives) shape.alternatives = data.alternatives.map(shapeFromJSON);
+    return shape;
+};
+
+function findShapeAt(shapes, point, tolerance = 6) {
+    for (let i = shapes.length - 1; i >= 0; --i) {
+        const type = findShapeType(shapes[i].type);
+        if (type.hitTest(shapes[i], point, tolerance)) return shapes[i];
+    }
+    return null;
+};
+
+function shapesToSVG(shapes, width, height) {
+    const elements = shapes.map(shape => "  " + findShapeType(shape.type).toSVG(shape));
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" fill="none" stroke="black" stroke-width="2">`,
+        ...elements,
+        "</svg>"
+    ].join("\n");
+};
+
+function encodeVecs(value) {
+    if (value instanceof Vec) {
+        return { vec: [value.x, value.y] };
+    } else if (Array.isArray(value) || ArrayBuffer.isView(value)) {
+        return Array.prototype.map.call(value, encodeVecs);
+    } else if (value && typeof value === "object") {
+        const encoded = {};
+        for (const key in value) {
+            encoded[key] = encodeVecs(value[key]);
+        }
+        return encoded;
+    }
+    return value;
+};
+
+function decodeVecs(value) {
+    if (Array.isArray(value)) {
+        return value.map(decodeVecs);
+    } else if (value && typeof value === "object") {
+        if (value.vec) return new Vec(value.vec[0], value.vec[1]);
+
+        const decoded = {};
+        for (const key in value) {
+            decoded[key] = decodeVecs(value[key]);
+        }
+        return decoded;
     }
+    return value;
+};
+
+function segmentDistance(point, a, b) {
+    const ab = Vec.sub(b, a);
+    const t = clamp(0, 1, Vec.sub(point, a).dot(ab) / Math.max(ab.dot(ab), 1e-12));
+    return Vec.dist(point, Vec.add(a, Vec.scale(ab, t)));
+};
+
+function pathDistance(path, point) {
+    if (path.length === 1) return Vec.dist(point, path[0]);
 
-    if (best.cost < acceptableTolerance(path)) {
-        return best;
+    let best = Infinity;
+    for (let i = 1; i < path.length; ++i) {
+        best = Math.min(best, segmentDistance(point, path[i - 1], path[i]));
     }
+    return best;
 };
+
+function svgNumber(x) {
+    return String(Math.round(x * 100) / 100);
+};
+
+function svgPath(path) {
+    const d = path.map((p, i) => (i === 0 ? "M" : "L") + svgNumber(p.x) + " " + svgNumber(p.y));
+    return `<path d="${d.join(" ")}"/>`;
+};
+
+function pathRendering(toPath) {
+    return {
+        draw: (ctx, shape) => drawPath(ctx, toPath(shape)),
+        hitTest: (shape, point, tolerance) => pathDistance(toPath(shape), point) <= tolerance,
+        toSVG: shape => svgPath(toPath(shape))
+    };
+};
+
+registerShapeType(Object.assign({ name: "stroke" }, pathRendering(shape => shape.stroke)));
+
+function fittingTypes(profile) {
+    return shapeTypes.filter(type => type.fit && shapeProfile(profile, type.name).enabled);
+};
+
+function tryShapeFit(path, profile = recognitionProfiles.standard) {
+    const results = fittingTypes(profile).map(type => {
+        return withType(type, type.fit(path, multivarOptimize, shapeProfile(profile, type.name)));
+    });
+    return pickShapeFit(path, results, profile);
+};
+
+function pickShapeFit(path, results, profile = recognitionProfiles.standard) {
+    function strokeScale(path) {
+        const [ minPoint, maxPoint ] = Vec.bounds(path);
+        return Math.max(Vec.dist(minPoint, maxPoint), 1);
+    }
+
+    function acceptableTolerance(path, profile) {
+        return profile.minimumTolerance + profile.relativeTolerance * strokeScale(path);
+    }
+
+    const n = path.length;
+    const ranked = results
+        .filter(x => x)
+        .map(shape => {
+            const settings = shapeProfile(profile, shape.type);
+            return Object.assign({}, shape, {
+                error: Math.sqrt(shape.cost / n),
+                score: selectionScore(shape, n, settings),
+                tolerance: acceptableTolerance(path, settings)
+            });
+        })
+        .filter(shape => shape.error < shape.tolerance)
+        .sort((a, b) => a.score - b.score);
+
+    if (ranked.length > 0) {
+        const raw = { type: "stroke", stroke: path };
+        return chooseAlternative({ alternatives: ranked.concat([ raw ]) }, 0);
+    }
+};
+
+function chooseAlternative(shape, choice) {
+    return Object.assign({}, shape.alternatives[choice], {
+        alternatives: shape.alternatives,
+        choice: choice
+    });
+};
+
+function nextAlternative(shape) {
+    return chooseAlternative(shape, (shape.choice + 1) % shape.alternatives.length);
+};
+
+async function tryShapeFitAsync(path, profile = recognitionProfiles.standard) {
+    const results = [];
+    for (const type of fittingTypes(profile)) {
+        const shape = await type.fit(path, multivarOptimizeAsync, shapeProfile(profile, type.name));
+        results.push(withType(type, shape));
+    }
+    return pickShapeFit(path, results, profile);
+};
+
+function selectionScore(shape, n, profile) {
+    const noise = profile.noise;
+    const variance = Math.max(shape.cost / n, noise * noise);
+    return n * Math.log(variance) + shape.parameterCount * Math.log(n);
+};
+
+registerShapeType(Object.assign(
+    { name: "line", fit: tryLineFit },
+    pathRendering(shape => lineToDrawing(shape.stroke, shape.params))
+));
+
+registerShapeType({
+    name: "circle",
+    fit: tryCircleFit,
+    draw: (ctx, shape) => {
+        const circle = shape.params;
+        ctx.beginPath();
+        ctx.arc(circle.origin.x, circle.origin.y, circle.radius, 0.0, Math.PI * 2.0);
+        ctx.closePath();
+        ctx.stroke();
+    },
+    hitTest: (shape, point, tolerance) => circleDistance(point, shape.params) <= tolerance,
+    toSVG: shape => {
+        const circle = shape.params;
+        return `<circle cx="${svgNumber(circle.origin.x)}" cy="${svgNumber(circle.origin.y)}" r="${svgNumber(circle.radius)}"/>`;
+    }
+});
+
+registerShapeType(Object.assign(
+    { name: "rect", fit: tryRectFit },
+    pathRendering(shape => rectToDrawing(shape.params))
+));
@@ -0,0 +1,45 @@
+// License: MIT
+"use strict";
+
+var fs = require("fs");
+var path = require("path");
+var vm = require("vm");
+
+function parseArgs(argv) {
+    var options = {};
+    var json = false;
+
+    for (var i = 0; i < argv.length; ++i) {
+        switch (argv[i]) {
+        case "--json":
+            json = true;
+            break;
+        case "--methods":
+            options.methods = argv[++i].split(",");
+            break;
+        case "--functions":
+            options.functions = argv[++i].split(",");
+            break;
+        case "--dimensions":
+            options.dimensions = argv[++i].split(",").map(Number);
+            break;
+        case "--trials":
+            options.trials = Number(argv[++i]);
+            break;
+        default:
+            throw new Error("unknown argument: " + argv[i]);
+        }
+    }
+
+    return { options: options, json: json };
+};
+
+var args = parseArgs(process.argv.slice(2));
+
+var context = vm.createContext({ console: console, performance: performance });
+["math.js", "benchmarks.js"].forEach(function(file) {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, file), "utf8"), context);
+});
+
+var rows = context.runBenchmarks(args.options);
+console.log(args.json ? JSON.stringify(rows, null, 2) : context.formatBenchmarks(rows));
@@ -0,0 +1,267 @@
+// License: MIT
+"use strict";
+
+function repeatValue(value, n) {
+    var result = [];
+    for (var i = 0; i < n; ++i) result.push(value);
+    return result;
+};
+
+function residualCost(residualFunc) {
+    return function(vars) {
+        return sumOfSquaredTerms(residualFunc(vars));
+    };
+};
+
+function sphereResiduals(vars) {
+    return Array.prototype.slice.call(vars);
+};
+
+function rosenbrockResiduals(vars) {
+    var result = [];
+    for (var i = 0; i < vars.length - 1; ++i) {
+        result.push(10 * (vars[i + 1] - vars[i] * vars[i]));
+        result.push(1 - vars[i]);
+    }
+    return result;
+};
+
+function rastrigin(vars) {
+    var sum = 10 * vars.length;
+    for (var i = 0; i < vars.length; ++i) {
+        sum += vars[i] * vars[i] - 10 * Math.cos(2 * Math.PI * vars[i]);
+    }
+    return sum;
+};
+
+function bealeResiduals(vars) {
+    var x = vars[0];
+    var y = vars[1];
+    return [
+        1.5 - x + x * y,
+        2.25 - x + x * y * y,
+        2.625 - x + x * y * y * y
+    ];
+};
+
+function boothResiduals(vars) {
+    return [
+        vars[0] + 2 * vars[1] - 7,
+        2 * vars[0] + vars[1] - 5
+    ];
+};
+
+function himmelblauResiduals(vars) {
+    var x = vars[0];
+    var y = vars[1];
+    return [
+        x * x + y - 11,
+        x + y * y - 7
+    ];
+};
+
+function matyas(vars) {
+    var x = vars[0];
+    var y = vars[1];
+    return 0.26 * (x * x + y * y) - 0.48 * x * y;
+};
+
+var benchmarkFunctions = [
+    {
+        name: "sphere",
+        dimensions: null,
+        lower: -5, upper: 5,
+        minimizers: function(n) { return [repeatValue(0, n)]; },
+        cost: residualCost(sphereResiduals),
+        residuals: sphereResiduals
+    },
+    {
+        name: "rosenbrock",
+        dimensions: null,
+        lower: -2, upper: 2,
+        minimizers: function(n) { return [repeatValue(1, n)]; },
+        cost: residualCost(rosenbrockResiduals),
+        residuals: rosenbrockResiduals
+    },
+    {
+        name: "rastrigin",
+        dimensions: null,
+        lower: -5.12, upper: 5.12,
+        minimizers: function(n) { return [repeatValue(0, n)]; },
+        cost: rastrigin
+    },
+    {
+        name: "ackley",
+        dimensions: null,
+        lower: -5, upper: 5,
+        minimizers: function(n) { return [repeatValue(0, n)]; },
+        cost: makeAckley(20.0, 0.2, 2.0 * Math.PI)
+    },
+    {
+        name: "beale",
+        dimensions: 2,
+        lower: -4.5, upper: 4.5,
+        minimizers: function() { return [[3, 0.5]]; },
+        cost: residualCost(bealeResiduals),
+        residuals: bealeResiduals
+    },
+    {
+        name: "booth",
+        dimensions: 2,
+        lower: -10, upper: 10,
+        minimizers: function() { return [[1, 3]]; },
+        cost: residualCost(boothResiduals),
+        residuals: boothResiduals
+    },
+    {
+        name: "himmelblau",
+        dimensions: 2,
+        lower: -5, upper: 5,
+        minimizers: function() {
+            return [
+                [3, 2],
+                [-2.805118, 3.131312],
+                [-3.779310, -3.283186],
+                [3.584428, -1.848126]
+            ];
+        },
+        cost: residualCost(himmelblauResiduals),
+        residuals: himmelblauResiduals
+    },
+    {
+        name: "matyas",
+        dimensions: 2,
+        lower: -10, upper: 10,
+        minimizers: function() { return [[0, 0]]; },
+        cost: matyas
+    }
+];
+var benchmarkMethods = [
+    "nelder-mead",
+    "least-squares",
+    "bfgs",
+    "differential-evolution",
+    "cma-es",
+    "multi-start"
+];
+
+function benchmarkNow() {
+    return typeof performance !== "undefined" ? performance.now() : Date.now();
+};
+
+function runBenchmark(benchmark, method, n, start) {
+    var options = {
+        method: method,
+        tolerance: 1e-10,
+        xTolerance: 1e-8,
+        fTolerance: 1e-10,
+        lower: repeatValue(benchmark.lower, n),
+        upper: repeatValue(benchmark.upper, n),
+        residuals: benchmark.residuals,
+        seed: 1
+    };
+
+    if (method === "multi-start") {
+        options.method = "nelder-mead";
+        options.randomStarts = 4;
+        return multiStartOptimize(start, benchmark.cost, options);
+    }
+    return multivarOptimize(start, benchmark.cost, options);
+};
+
+function minimizerDistance(benchmark, vars) {
+    return benchmark.minimizers(vars.length).reduce(function(nearest, minimizer) {
+        var sum = 0;
+        for (var i = 0; i < vars.length; ++i) {
+            var d = vars[i] - minimizer[i];
+            sum += d * d;
+        }
+        return Math.min(nearest, Math.sqrt(sum));
+    }, Infinity);
+};
+
+function runBenchmarks(options) {
+    options = options || {};
+    var methods = options.methods || benchmarkMethods;
+    var dimensions = options.dimensions || [2, 5, 10];
+    var trials = options.trials || 10;
+    var successTolerance = options.successTolerance || 1e-4;
+
+    var rows = [];
+    benchmarkFunctions.forEach(function(benchmark) {
+        if (options.functions && options.functions.indexOf(benchmark.name) === -1) return;
+
+        var sizes = benchmark.dimensions ? [benchmark.dimensions] : dimensions;
+        sizes.forEach(function(n) {
+            methods.forEach(function(method) {
+                if (method === "least-squares" && !benchmark.residuals) return;
+
+                // the same starts for every method
+                var random = makeRandom(options.seed || 1);
+                var successes = 0;
+                var evaluations = 0;
+                var time = 0;
+                var worst = 0;
+                var furthest = 0;
+
+                for (var t = 0; t < trials; ++t) {
+                    var start = [];
+                    for (var i = 0; i < n; ++i) {
+                        start.push(lerp(benchmark.lower, benchmark.upper, random()));
+                    }
+
+                    var begin = benchmarkNow();
+                    var result = runBenchmark(benchmark, method, n, start);
+                    time += benchmarkNow() - begin;
+
+                    evaluations += result.evaluations;
+                    worst = Math.max(worst, result.cost);
+                    furthest = Math.max(furthest, minimizerDistance(benchmark, result.vars));
+                    if (result.cost <= successTolerance) ++successes;
+                }
+
+                rows.push({
+                    function: benchmark.name,
+                    dimensions: n,
+                    method: method,
+                    successRate: successes / trials,
+                    evaluations: evaluations / trials,
+                    time: time / trials,
+                    worstCost: worst,
+                    worstDistance: furthest
+                });
+            });
+        });
+    });
+    return rows;
+};
+
+function formatBenchmarks(rows) {
+    var columns = [
+        ["function", function(row) { return row.function; }],
+        ["n", function(row) { return String(row.dimensions); }],
+        ["method", function(row) { return row.method; }],
+        ["success", function(row) { return (row.successRate * 100).toFixed(0) + "%"; }],
+        ["evaluations", function(row) { return row.evaluations.toFixed(0); }],
+        ["ms", function(row) { return row.time.toFixed(2); }],
+        ["worst cost", function(row) { return row.worstCost.toExponential(2); }],
+        ["worst distance", function(row) { return row.worstDistance.toExponential(2); }]
+    ];
+
+    var cells = [columns.map(function(column) { return column[0]; })].concat(rows.map(function(row) {
+        return columns.map(function(column) { return column[1](row); });
+    }));
+
+    var widths = columns.map(function(column, j) {
+        return cells.reduce(function(width, line) {
+            return Math.max(width, line[j].length);
+        }, 0);
+    });
+
+    return cells.map(function(line) {
+        return line.map(function(cell, j) {
+            while (cell.length < widths[j]) cell += " ";
+            return cell;
+        }).join("  ");
+    }).join("\n");
+};
@@ -2,7 +2,9 @@
 // License: MIT
 
 "use strict";
-function Sim() {
+function Sim(profile) {
+    this.profile = profile || findProfile();
+
     this.canvas = document.getElementById('main-canvas');
     this.ctx = this.canvas.getContext('2d', { alpha: false });
 
@@ -12,14 +14,39 @@ function Sim() {
     this.canvas.onmousemove = this.mouseMove.bind(this);
 
     this.shapes = [];
+
+    this.worker = createFitWorker();
+    this.jobs = {};
+    this.nextJob = 1;
+    if (this.worker) {
+        this.worker.onmessage = this.workerMessage.bind(this);
+        this.worker.onerror = this.workerError.bind(this);
+    }
 };
 
+function findProfile(name) {
+    if (typeof recognitionProfiles === "undefined") {
+        return { sampleSpacing: 6 };
+    }
+    return recognitionProfiles[name] || recognitionProfiles.standard;
+}
 
 document.getElementById("clear-button").onclick = function() {
+    sim.cancelFits();
     sim.shapes = [];
     drawSim();
 };
 
+document.getElementById("cycle-button").onclick = function() {
+    sim.cycleShape();
+};
+
+document.addEventListener("keydown", function(e) {
+    if (e.key.toLowerCase() === "n" && !e.ctrlKey && !e.metaKey && !e.altKey) {
+        sim.cycleShape();
+    }
+});
+
 function getMousePos(canvas, e) {
     var rect = canvas.getBoundingClientRect();
     return new Vec(e.clientX - rect.left, e.clientY - rect.top);
@@ -40,7 +67,7 @@ Sim.prototype.mouseMove = function(e) {
     if (this.dragging) {
         var lp = this.path[this.path.length - 1];
 
-        if (!mp.inCircle(lp, 6)) {
+        if (!mp.inCircle(lp, this.profile.sampleSpacing)) {
             this.path.push(mp);
             drawSim();
         }
@@ -60,19 +87,96 @@ Sim.prototype.mouseOut = function(e) {
 }
 
 Sim.prototype.endDrag = function(e) {
-    var corrected = tryShapeFit(this.path);
-    if (corrected) {
-        this.shapes.push(corrected);
-    } else {
-        this.shapes.push({
-            path: this.path
-        });
-    }
+    var stroke = {
+        type: "stroke",
+        stroke: this.path
+    };
+    this.shapes.push(stroke);
+
+    var self = this;
+    this.fitShape(this.path).then(function(corrected) {
+        // the stroke is gone if the canvas was cleared in the meantime
+        var i = self.shapes.indexOf(stroke);
+        if (corrected && i !== -1) {
+            self.shapes[i] = corrected;
+            drawSim();
+        }
+    });
 
     this.path = [];
     this.dragging = false;
     drawSim();
 }
+Sim.prototype.cycleShape = function() {
+    var i = this.shapes.length - 1;
+    if (i < 0 || !this.shapes[i].alternatives) return;
+
+    this.shapes[i] = nextAlternative(this.shapes[i]);
+    drawSim();
+}
+function createFitWorker() {
+    if (typeof Worker === "undefined") return null;
+    try {
+        return new Worker("worker.js");
+    } catch (e) {
+        return null;
+    }
+}
+
+function fitShapeLocally(path, profile) {
+    if (typeof tryShapeFitAsync === "function") {
+        return tryShapeFitAsync(path, profile);
+    }
+    return Promise.resolve(tryShapeFit(path, profile));
+}
+
+Sim.prototype.fitShape = function(path) {
+    if (!this.worker) return fitShapeLocally(path, this.profile);
+
+    var id = this.nextJob++;
+    var self = this;
+    return new Promise(function(resolve) {
+        self.jobs[id] = { path: path, resolve: resolve };
+        self.worker.postMessage({
+            type: "fit",
+            id: id,
+            path: path.map(function(p) { return [p.x, p.y]; }),
+            profile: self.profile
+        });
+    });
+}
+
+Sim.prototype.cancelFits = function() {
+    for (var id in this.jobs) {
+        if (this.worker) {
+            this.worker.postMessage({ type: "cancel", id: Number(id) });
+        }
+        this.jobs[id].resolve(null);
+    }
+    this.jobs = {};
+}
+
+Sim.prototype.workerMessage = function(e) {
+    var job = this.jobs[e.data.id];
+    if (!job) return;
+
+    delete this.jobs[e.data.id];
+    var shape = e.data.shape;
+    if (shape && typeof shapeFromJSON === "function") {
+        shape = shapeFromJSON(shape);
+    }
+    job.resolve(shape || null);
+}
+
+Sim.prototype.workerError = function(e) {
+    this.worker = null;
+
+    var jobs = this.jobs;
+    this.jobs = {};
+    for (var id in jobs) {
+        fitShapeLocally(jobs[id].path, this.profile).then(jobs[id].resolve);
+    }
+}
 function drawSim() {
     var ctx = sim.ctx;
     ctx.lineWidth = 1;
@@ -81,20 +185,7 @@ function drawSim() {
     ctx.lineWidth = 2;
     ctx.strokeStyle = "#000000";
     for (var i = 0; i < sim.shapes.length; ++i) {
-        var s = sim.shapes[i];
-        if (s.path) {
-            drawPath(ctx, s.path);
-        } else if (s.circle) {
-            ctx.beginPath();
-            ctx.arc(s.circle.origin.x, s.circle.origin.y, s.circle.radius, 0.0, Math.PI * 2.0);
-            ctx.closePath();
-            ctx.stroke();
-        } else if (s.ellipse) {
-            ctx.beginPath();
-            ctx.ellipse(s.ellipse.origin.x, s.ellipse.origin.y, s.ellipse.size.x, s.ellipse.size.y, 0, 0.0, Math.PI * 2.0);
-            ctx.closePath();
-            ctx.stroke();
-        }
+        drawShape(ctx, sim.shapes[i]);
     }
 
     ctx.lineWidth = 3;
@@ -104,6 +195,21 @@ function drawSim() {
     }
 }
 
+function drawShape(ctx, s) {
+    if (s.type && typeof findShapeType === "function") {
+        findShapeType(s.type).draw(ctx, s);
+    } else if (s.stroke) {
+        drawPath(ctx, s.stroke);
+    } else if (s.path) {
+        drawPath(ctx, s.path);
+    } else if (s.circle) {
+        ctx.beginPath();
+        ctx.arc(s.circle.origin.x, s.circle.origin.y, s.circle.radius, 0.0, Math.PI * 2.0);
+        ctx.closePath();
+        ctx.stroke();
+    }
+}
+
 function clearCanvas(ctx, canvas) {
     ctx.fillStyle = '#C1FFC9';
     ctx.beginPath();
@@ -122,5 +228,5 @@ function drawPath(ctx, path) {
     ctx.stroke();
 }
 
-var sim = new Sim();
+var sim = new Sim(findProfile(new URLSearchParams(location.search).get("profile")));
 drawSim();
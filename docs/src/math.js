@@ -15,6 +15,38 @@ function clamp(low, high, t) {
         return t;
     }
 };
+function makeRandom(seed) {
+    // xorshift needs a nonzero state
+    var state = (seed >>> 0) || 0x9E3779B9;
+
+    function next() {
+        state ^= state << 13;
+        state ^= state >>> 17;
+        state ^= state << 5;
+        return (state >>> 0) / 4294967296;
+    };
+
+    // small seeds take a few steps to mix
+    for (var i = 0; i < 8; ++i) next();
+    return next;
+};
+
+function makeGaussian(random) {
+    var spare = null;
+    return function() {
+        if (spare !== null) {
+            var result = spare;
+            spare = null;
+            return result;
+        }
+
+        var u = 1 - random();
+        var v = random();
+        var r = Math.sqrt(-2 * Math.log(u));
+        spare = r * Math.sin(2 * Math.PI * v);
+        return r * Math.cos(2 * Math.PI * v);
+    };
+};
 function Vec(x, y) {
     this.x = x;
     this.y = y;
@@ -255,34 +287,194 @@ function testOptimizer() {
 };
 
 function multivarOptimize(initial, costFunc, options) {
+    if (hasFixedVariables(options)) {
+        return optimizeFreeVariables(initial, costFunc, options, multivarOptimize);
+    }
+
+    return runSearch(makeSearch(initial, costFunc, options));
+};
+
+function makeSearch(initial, costFunc, options) {
+    switch (options.method || "nelder-mead") {
+    case "nelder-mead":
+        var simplex = initialSimplex(initial, options);
+        return simplex.search(costFunc, makeStopPredicate(options), options);
+    case "least-squares":
+        if (!options.residuals) throw new Error("least-squares requires options.residuals");
+        return leastSquaresSearch(initial, options.residuals, options);
+    case "bfgs":
+        return bfgsSearch(initial, costFunc, options);
+    case "differential-evolution":
+        return differentialEvolutionSearch(initial, costFunc, options);
+    case "cma-es":
+        return cmaesSearch(initial, costFunc, options);
+    default:
+        throw new Error("unknown optimization method: " + options.method);
+    }
+};
+
+function runSearch(search) {
+    var state = search.next();
+    while (!state.done) {
+        state = search.next();
+    }
+    return state.value;
+};
+
+function makeStopPredicate(options) {
     var maxIterations = options.maxIterations || 10000;
     var tolerance = options.tolerance || 0.001;
+    var xTolerance = options.xTolerance || 1e-4;
+    var fTolerance = options.fTolerance || 1e-4;
+    var relTolerance = options.relTolerance || 1e-6;
 
-    function predicate(iterations, image) {
-        return iterations > maxIterations || image < tolerance;
-    };
+    function predicate(iterations, simplex) {
+        var best = simplex.vertices[0];
+        if (best.image < tolerance) return "tolerance";
 
-    var n = initial.length;
+        var scale = 0;
+        for (var j = 0; j < simplex.dimension; ++j) {
+            scale = Math.max(scale, Math.abs(best.point[j]));
+        }
 
-    function guessSizes(initial) {
-        var sizes = new Float64Array(n);
-        for (var j = 0; j < n; ++j) {
-            sizes[j] = (0.05 * Math.abs(initial[j])) + 0.00025;
+        if (simplex.size() <= xTolerance + relTolerance * scale &&
+            simplex.spread() <= fTolerance + relTolerance * Math.abs(best.image)) {
+            return "converged";
         }
-        return sizes;
+
+        if (iterations > maxIterations) return "maxIterations";
+        return null;
     };
 
+    return predicate;
+};
+
+function initialSimplex(initial, options) {
+    var n = initial.length;
+    var sizes = initialStepSizes(initial, options, 0.05, 0.005);
+    var stepSize = options.stepSize || 1;
+    for (var j = 0; j < n; ++j) {
+        sizes[j] *= stepSize;
+    }
+
     var simplex = new Simplex(n);
-    simplex.positionAround(initial, guessSizes(initial));
-    return simplex.optimize(costFunc, predicate, options);
+    simplex.setBounds(options.lower, options.upper);
+    simplex.positionAround(initial, sizes);
+    return simplex;
 };
 
+function initialStepSizes(initial, options, relative, defaultScale) {
+    var n = initial.length;
+    var sizes = new Float64Array(n);
+    for (var j = 0; j < n; ++j) {
+        var step = options.stepSizes ? options.stepSizes[j] : null;
+        var scale = options.scales ? options.scales[j] : null;
+
+        if (step != null) {
+            sizes[j] = step;
+        } else {
+            sizes[j] = relative * (Math.abs(initial[j]) + (scale != null ? scale : defaultScale));
+        }
+    }
+    return sizes;
+};
+function extendOptions(options, overrides) {
+    var extended = {};
+    for (var key in options) {
+        extended[key] = options[key];
+    }
+    for (var key in overrides) {
+        extended[key] = overrides[key];
+    }
+    return extended;
+};
+
+function clampToBounds(point, lower, upper) {
+    for (var j = 0; j < point.length; ++j) {
+        if (lower && lower[j] != null && point[j] < lower[j]) point[j] = lower[j];
+        if (upper && upper[j] != null && point[j] > upper[j]) point[j] = upper[j];
+    }
+    return point;
+};
+
+function hasFixedVariables(options) {
+    if (!options.fixed) return false;
+    for (var j = 0; j < options.fixed.length; ++j) {
+        if (options.fixed[j]) return true;
+    }
+    return false;
+};
+
+function optimizeFreeVariables(initial, costFunc, options, optimize) {
+    var free = [];
+    for (var j = 0; j < initial.length; ++j) {
+        if (!options.fixed[j]) free.push(j);
+    }
+
+    function pick(values) {
+        if (!values) return values;
+        return free.map(function(j) { return values[j]; });
+    };
+
+    var full = new Float64Array(initial);
+    function expand(vars) {
+        for (var k = 0; k < free.length; ++k) {
+            full[free[k]] = vars[k];
+        }
+        return full;
+    };
+
+    var reduced = extendOptions(options, {
+        fixed: null,
+        lower: pick(options.lower),
+        upper: pick(options.upper),
+        stepSizes: pick(options.stepSizes),
+        scales: pick(options.scales)
+    });
+
+    if (options.residuals) {
+        reduced.residuals = function(vars) {
+            return options.residuals(expand(vars));
+        };
+    }
+
+    if (options.jacobian) {
+        reduced.jacobian = function(vars, residuals) {
+            return options.jacobian(expand(vars), residuals).map(pick);
+        };
+    }
+
+    if (options.onIteration) {
+        reduced.onIteration = function(info) {
+            info.points = info.points.map(function(p) {
+                return new Float64Array(expand(p));
+            });
+            return options.onIteration(info);
+        };
+    }
+
+    var pending = optimize(pick(initial), function(vars) {
+        return costFunc(expand(vars));
+    }, reduced);
+
+    return whenDone(pending, function(result) {
+        result.vars = new Float64Array(expand(result.vars));
+        return result;
+    });
+};
 function Simplex(n) {
     this.dimension = n;
     this.vertices = [];
     for (var i = 0; i < (n + 1); ++i) {
         this.vertices.push(new SimplexVertex(n));
     }
+
+    this.lower = new Float64Array(n);
+    this.upper = new Float64Array(n);
+    for (var j = 0; j < n; ++j) {
+        this.lower[j] = -Infinity;
+        this.upper[j] = Infinity;
+    }
 };
 
 function SimplexVertex(n) {
@@ -305,12 +497,31 @@ SimplexVertex.prototype.swapWith = function(other) {
     other.image = itemp;
 };
 
+Simplex.prototype.setBounds = function(lower, upper) {
+    for (var j = 0; j < this.dimension; ++j) {
+        if (lower && lower[j] != null) this.lower[j] = lower[j];
+        if (upper && upper[j] != null) this.upper[j] = upper[j];
+    }
+};
+
+Simplex.prototype.clampPoint = function(point) {
+    for (var j = 0; j < this.dimension; ++j) {
+        point[j] = clamp(this.lower[j], this.upper[j], point[j]);
+    }
+};
+
 Simplex.prototype.positionAround = function(point, sizes) {
     var n = this.dimension;
     for (var i = 0; i < (n + 1); ++i) {
         for (var j = 0; j < n; ++j) {
-            this.vertices[i].point[j] = point[j] + ((i - 1 == j) ? sizes[j] : 0.0);
+            var x = clamp(this.lower[j], this.upper[j], point[j]);
+            if (i - 1 == j) {
+                // step away from the upper bound if there is no room
+                x += (x + sizes[j] <= this.upper[j]) ? sizes[j] : -sizes[j];
+            }
+            this.vertices[i].point[j] = x;
         }
+        this.clampPoint(this.vertices[i].point);
     }
 };
 
@@ -337,6 +548,7 @@ Simplex.prototype.getNewPoint = function(centroid, lambda, output) {
     for (var j = 0; j < n; ++j) {
         output.point[j] = (1.0 + lambda) * centroid.point[j] - lambda * this.vertices[n].point[j];
     };
+    this.clampPoint(output.point);
 };
 
 Simplex.prototype.shrink = function(sigma) {
@@ -346,6 +558,7 @@ Simplex.prototype.shrink = function(sigma) {
             var x = this.vertices[0].point[j];
             this.vertices[i].point[j] = x + sigma * (this.vertices[i].point[j] - x);
         }
+        this.clampPoint(this.vertices[i].point);
     }
 };
 
@@ -356,90 +569,1272 @@ Simplex.prototype.computeVertexImages = function(costFunc) {
     this.sort();
 };
 
-Simplex.prototype.optimize = function(costFunc, stopPredicate, options) {
-    var rho = options.rho || 1.0; // coefficient for "reflect"
-    var chi = options.chi || 2.0; // coefficient for "expand"
-    var gamma = options.gamma || 0.5; // coefficient for "contract"
-    var sigma = options.sigma || 0.5; // coefficient for "shrink"
-    var debug = options.debug == undefined ? false : options.debug;
+Simplex.prototype.size = function() {
+    var n = this.dimension;
+    var best = this.vertices[0].point;
+    var size = 0;
+    for (var i = 1; i < (n + 1); ++i) {
+        for (var j = 0; j < n; ++j) {
+            size = Math.max(size, Math.abs(this.vertices[i].point[j] - best[j]));
+        }
+    }
+    return size;
+};
+
+Simplex.prototype.spread = function() {
+    return this.vertices[this.dimension].image - this.vertices[0].image;
+};
+
+Simplex.prototype.describe = function(step, iteration) {
+    return {
+        step: step,
+        iteration: iteration,
+        points: this.vertices.map(function(v) { return new Float64Array(v.point); }),
+        images: this.vertices.map(function(v) { return v.image; })
+    };
+};
+
+function logIteration(info) {
+    console.log(info.step);
+    console.log("best: ", info.points[0].join(", "), "score: ", info.images[0]);
+};
+
+Simplex.prototype.step = function(evaluate, coefficients, work) {
+    var rho = coefficients.rho;
+    var chi = coefficients.chi;
+    var gamma = coefficients.gamma;
+    var sigma = coefficients.sigma;
 
     var n = this.dimension;
 
-    var pointR = new SimplexVertex(n);
-    var pointE = new SimplexVertex(n);
-    var pointC = new SimplexVertex(n);
-    var centroid = new SimplexVertex(n);
+    var pointR = work.pointR;
+    var pointE = work.pointE;
+    var pointC = work.pointC;
+    var centroid = work.centroid;
+
+    var step;
+    this.getNewPoint(centroid, rho, pointR);
+    pointR.image = evaluate(pointR.point);
 
-    this.computeVertexImages(costFunc);
+    if (pointR.image < this.vertices[0].image) {
+        this.getNewPoint(centroid, rho * chi, pointE);
+        pointE.image = evaluate(pointE.point);
+
+        if (pointE.image < pointR.image) {
+            step = "expand";
+            this.vertices[n].copyFrom(pointE);
+        } else {
+            step = "reflect";
+            this.vertices[n].copyFrom(pointR);
+        }
+    } else {
+        if (pointR.image < this.vertices[n - 1].image) {
+            step = "reflect";
+            this.vertices[n].copyFrom(pointR);
+        } else {
+            if (pointR.image < this.vertices[n].image) {
+                this.getNewPoint(centroid, rho * gamma, pointC);
+                pointC.image = evaluate(pointC.point);
+
+                if (pointC.image <= pointR.image) {
+                    step = "contract out";
+                    this.vertices[n].copyFrom(pointC);
+                } else {
+                    step = "shrink";
+                }
+            } else {
+                this.getNewPoint(centroid, -gamma, pointC);
+                pointC.image = evaluate(pointC.point);
+
+                if (pointC.image < this.vertices[n].image) {
+                    step = "contract inside";
+                    this.vertices[n].copyFrom(pointC);
+                } else {
+                    step = "shrink";
+                }
+            }
+        }
+    }
+
+    if (step === "shrink") {
+        this.shrink(sigma);
+        this.computeVertexImages(evaluate);
+    } else {
+        for (var i = n - 1; i >= 0 && this.vertices[i + 1].image < this.vertices[i].image; i--) {
+            this.vertices[i + 1].swapWith(this.vertices[i]);
+        }
+
+    }
     this.getCentroid(centroid);
+    return step;
+};
+
+Simplex.prototype.search = function(costFunc, stopPredicate, options) {
+    var coefficients = {
+        rho: options.rho || 1.0, // coefficient for "reflect"
+        chi: options.chi || 2.0, // coefficient for "expand"
+        gamma: options.gamma || 0.5, // coefficient for "contract"
+        sigma: options.sigma || 0.5 // coefficient for "shrink"
+    };
+    var debug = options.debug == undefined ? false : options.debug;
+    var onIteration = options.onIteration || (debug ? logIteration : null);
+
+    var simplex = this;
+    var n = this.dimension;
+
+    var evaluations = 0;
+    function evaluate(point) {
+        ++evaluations;
+        return costFunc(point);
+    };
+
+    var work = {
+        pointR: new SimplexVertex(n),
+        pointE: new SimplexVertex(n),
+        pointC: new SimplexVertex(n),
+        centroid: new SimplexVertex(n)
+    };
 
     var iterations = 1;
+    var reason = null;
+    var started = false;
+
+    function finish() {
+        return {
+            done: true,
+            value: {
+                vars: simplex.vertices[0].point,
+                cost: simplex.vertices[0].image,
+                iterations: iterations,
+                evaluations: evaluations,
+                reason: reason,
+                size: simplex.size()
+            }
+        };
+    };
+
+    function next() {
+        if (!started) {
+            simplex.computeVertexImages(evaluate);
+            simplex.getCentroid(work.centroid);
+            started = true;
+        }
+
+        if (reason || (reason = stopPredicate(iterations, simplex))) {
+            return finish();
+        }
+
+        var step = simplex.step(evaluate, coefficients, work);
+
+        if (onIteration && onIteration(simplex.describe(step, iterations)) === false) {
+            reason = "aborted";
+            return finish();
+        }
+
+        ++iterations;
+        return { done: false, value: step };
+    };
 
-    while (!stopPredicate(iterations, this.vertices[0].image)) {
-        var shrink = false;
-        this.getNewPoint(centroid, rho, pointR);
-        pointR.image = costFunc(pointR.point);
+    return { next: next };
+};
 
-        if (pointR.image < this.vertices[0].image) {
-            this.getNewPoint(centroid, rho * chi, pointE);
-            pointE.image = costFunc(pointE.point);
+Simplex.prototype.optimize = function(costFunc, stopPredicate, options) {
+    return runSearch(this.search(costFunc, stopPredicate, options));
+};
+function choleskySolve(A, b, n) {
+    var L = new Float64Array(n * n);
+    for (var i = 0; i < n; ++i) {
+        for (var j = 0; j <= i; ++j) {
+            var sum = A[i * n + j];
+            for (var k = 0; k < j; ++k) {
+                sum -= L[i * n + k] * L[j * n + k];
+            }
 
-            if (pointE.image < pointR.image) {
-                if (debug) console.log("expand");
-                this.vertices[n].copyFrom(pointE);
+            if (i === j) {
+                if (!(sum > 0)) return null;
+                L[i * n + i] = Math.sqrt(sum);
             } else {
-                if (debug) console.log("reflect");
-                this.vertices[n].copyFrom(pointR);
+                L[i * n + j] = sum / L[j * n + j];
+            }
+        }
+    }
+
+    // solve L y = b, then L^T x = y
+    var x = new Float64Array(b);
+    for (var i = 0; i < n; ++i) {
+        for (var k = 0; k < i; ++k) {
+            x[i] -= L[i * n + k] * x[k];
+        }
+        x[i] /= L[i * n + i];
+    }
+    for (var i = n - 1; i >= 0; --i) {
+        for (var k = i + 1; k < n; ++k) {
+            x[i] -= L[k * n + i] * x[k];
+        }
+        x[i] /= L[i * n + i];
+    }
+    return x;
+};
+
+function sumOfSquaredTerms(terms) {
+    var sum = 0;
+    for (var i = 0; i < terms.length; ++i) {
+        sum += terms[i] * terms[i];
+    }
+    return sum;
+};
+
+function largestMagnitude(values) {
+    var result = 0;
+    for (var i = 0; i < values.length; ++i) {
+        result = Math.max(result, Math.abs(values[i]));
+    }
+    return result;
+};
+
+function leastSquaresOptimize(initial, residualFunc, options) {
+    var settings = extendOptions(options, {
+        method: "least-squares",
+        residuals: residualFunc
+    });
+
+    return multivarOptimize(initial, function(vars) {
+        return sumOfSquaredTerms(residualFunc(vars));
+    }, settings);
+};
+
+function leastSquaresSearch(initial, residualFunc, options) {
+    var maxIterations = options.maxIterations || 10000;
+    var tolerance = options.tolerance || 0.001;
+    var xTolerance = options.xTolerance || 1e-4;
+    var fTolerance = options.fTolerance || 1e-4;
+    var gTolerance = options.gTolerance || 1e-8;
+    var relTolerance = options.relTolerance || 1e-6;
+    var debug = options.debug == undefined ? false : options.debug;
+    var onIteration = options.onIteration || (debug ? logIteration : null);
+
+    var n = initial.length;
+    var lower = options.lower;
+    var upper = options.upper;
+
+    var evaluations = 0;
+    function evaluate(point) {
+        ++evaluations;
+        return residualFunc(point);
+    };
+
+    var x = clampToBounds(new Float64Array(initial), lower, upper);
+    var residuals = evaluate(x);
+    var cost = sumOfSquaredTerms(residuals);
+    var m = residuals.length;
+
+    var J = new Float64Array(m * n);
+    var A = new Float64Array(n * n);
+    var g = new Float64Array(n);
+    var damping = options.damping || 1e-3;
+    var lastStep = Infinity;
+
+    var iterations = 1;
+    var reason = null;
+
+    function computeJacobian() {
+        if (options.jacobian) {
+            var rows = options.jacobian(x, residuals);
+            for (var i = 0; i < m; ++i) {
+                for (var j = 0; j < n; ++j) {
+                    J[i * n + j] = rows[i][j];
+                }
+            }
+            return;
+        }
+
+        var probe = new Float64Array(x);
+        for (var j = 0; j < n; ++j) {
+            var h = 1.5e-8 * Math.max(Math.abs(x[j]), 1);
+            // step away from the upper bound if there is no room
+            if (upper && upper[j] != null && x[j] + h > upper[j]) h = -h;
+
+            probe[j] = x[j] + h;
+            var shifted = evaluate(probe);
+            for (var i = 0; i < m; ++i) {
+                J[i * n + j] = (shifted[i] - residuals[i]) / h;
+            }
+            probe[j] = x[j];
+        }
+    };
+
+    function computeNormalEquations() {
+        for (var a = 0; a < n; ++a) {
+            var sum = 0;
+            for (var i = 0; i < m; ++i) {
+                sum += J[i * n + a] * residuals[i];
+            }
+            g[a] = -sum;
+
+            for (var b = 0; b <= a; ++b) {
+                sum = 0;
+                for (var i = 0; i < m; ++i) {
+                    sum += J[i * n + a] * J[i * n + b];
+                }
+                A[a * n + b] = sum;
+                A[b * n + a] = sum;
             }
+        }
+    };
+
+    function tryStep() {
+        var M = new Float64Array(A);
+        for (var a = 0; a < n; ++a) {
+            M[a * n + a] += damping * Math.max(A[a * n + a], 1e-9);
+        }
+
+        var delta = choleskySolve(M, g, n);
+        if (!delta) return null;
+
+        var point = new Float64Array(n);
+        for (var j = 0; j < n; ++j) {
+            point[j] = x[j] + delta[j];
+        }
+        clampToBounds(point, lower, upper);
+
+        var r = evaluate(point);
+        return { point: point, residuals: r, cost: sumOfSquaredTerms(r) };
+    };
+
+    function finish() {
+        return {
+            done: true,
+            value: {
+                vars: x,
+                cost: cost,
+                residuals: residuals,
+                iterations: iterations,
+                evaluations: evaluations,
+                reason: reason,
+                size: lastStep
+            }
+        };
+    };
+
+    function next() {
+        if (reason) return finish();
+
+        if (cost < tolerance) {
+            reason = "tolerance";
+            return finish();
+        }
+
+        if (iterations > maxIterations) {
+            reason = "maxIterations";
+            return finish();
+        }
+
+        computeJacobian();
+        computeNormalEquations();
+
+        if (largestMagnitude(g) <= gTolerance) {
+            reason = "converged";
+            return finish();
+        }
+
+        var trial = tryStep();
+        while (!trial || !(trial.cost < cost)) {
+            damping *= 10;
+            if (damping > 1e16) {
+                reason = "converged";
+                return finish();
+            }
+            trial = tryStep();
+        }
+        damping = Math.max(damping / 10, 1e-12);
+
+        lastStep = 0;
+        for (var j = 0; j < n; ++j) {
+            lastStep = Math.max(lastStep, Math.abs(trial.point[j] - x[j]));
+        }
+        var decrease = cost - trial.cost;
+
+        x = trial.point;
+        residuals = trial.residuals;
+        cost = trial.cost;
+
+        if (onIteration && onIteration({
+            step: "least-squares",
+            iteration: iterations,
+            points: [ new Float64Array(x) ],
+            images: [ cost ]
+        }) === false) {
+            reason = "aborted";
+            return finish();
+        }
+
+        ++iterations;
+
+        if (lastStep <= xTolerance + relTolerance * largestMagnitude(x) ||
+            decrease <= fTolerance + relTolerance * cost) {
+            reason = "converged";
+        }
+
+        return { done: false, value: "least-squares" };
+    };
+
+    return { next: next };
+};
+function bfgsOptimize(initial, costFunc, options) {
+    return multivarOptimize(initial, costFunc, extendOptions(options, { method: "bfgs" }));
+};
+
+function numericalGradient(costFunc, point, value, lower, upper) {
+    var n = point.length;
+    var gradient = new Float64Array(n);
+    var probe = new Float64Array(point);
+
+    for (var j = 0; j < n; ++j) {
+        var h = 6e-6 * Math.max(Math.abs(point[j]), 1);
+
+        // use a one-sided difference when a bound leaves no room
+        if (lower && lower[j] != null && point[j] - h < lower[j]) {
+            probe[j] = point[j] + h;
+            gradient[j] = (costFunc(probe) - value) / h;
+        } else if (upper && upper[j] != null && point[j] + h > upper[j]) {
+            probe[j] = point[j] - h;
+            gradient[j] = (value - costFunc(probe)) / h;
         } else {
-            if (pointR.image < this.vertices[n - 1].image) {
-                if (debug) console.log("reflect");
-                this.vertices[n].copyFrom(pointR);
+            probe[j] = point[j] + h;
+            var forward = costFunc(probe);
+            probe[j] = point[j] - h;
+            var backward = costFunc(probe);
+            gradient[j] = (forward - backward) / (2 * h);
+        }
+        probe[j] = point[j];
+    }
+    return gradient;
+};
+
+function sumOfProducts(a, b) {
+    var sum = 0;
+    for (var i = 0; i < a.length; ++i) {
+        sum += a[i] * b[i];
+    }
+    return sum;
+};
+
+function wolfeLineSearch(phi, start, initialStep) {
+    var c1 = 1e-4;
+    var c2 = 0.9;
+    var f0 = start.value;
+    var d0 = start.slope;
+
+    function sufficient(trial) {
+        return trial.value <= f0 + c1 * trial.step * d0;
+    };
+
+    function curved(trial) {
+        return Math.abs(trial.slope) <= -c2 * d0;
+    };
+
+    function zoom(lo, hi) {
+        for (var i = 0; i < 30; ++i) {
+            var width = hi.step - lo.step;
+
+            // minimum of the quadratic through lo.value, lo.slope, and hi.value
+            var denom = 2 * (hi.value - lo.value - lo.slope * width);
+            var step = lo.step - lo.slope * width * width / denom;
+
+            var margin = 0.1 * Math.abs(width);
+            if (!isFinite(step) || step < Math.min(lo.step, hi.step) + margin || step > Math.max(lo.step, hi.step) - margin) {
+                step = lo.step + 0.5 * width;
+            }
+
+            var trial = phi(step);
+            if (!sufficient(trial) || trial.value >= lo.value) {
+                hi = trial;
             } else {
-                if (pointR.image < this.vertices[n].image) {
-                    this.getNewPoint(centroid, rho * gamma, pointC);
-                    pointC.image = costFunc(pointC.point);
-
-                    if (pointC.image <= pointR.image) {
-                        if (debug) console.log("contract out");
-                        this.vertices[n].copyFrom(pointC);
-                    } else {
-                        if (debug) console.log("shrink");
-                        shrink = true;
-                    }
-                } else {
-                    this.getNewPoint(centroid, -gamma, pointC);
-                    pointC.image = costFunc(pointC.point);
-
-                    if (pointC.image < this.vertices[n].image) {
-                        if (debug) console.log("contract inside");
-                        this.vertices[n].copyFrom(pointC);
-                    } else {
-                        if (debug) console.log("shrink");
-                        shrink = true;
-                    }
-                }
+                if (curved(trial)) return trial;
+                if (trial.slope * width >= 0) hi = lo;
+                lo = trial;
             }
         }
+        return lo.step > 0 ? lo : null;
+    };
 
-        if (shrink) {
-            this.shrink(sigma);
-            this.computeVertexImages(costFunc);
+    var previous = start;
+    var step = initialStep;
+    for (var i = 0; i < 30; ++i) {
+        var trial = phi(step);
+
+        if (!sufficient(trial) || (i > 0 && trial.value >= previous.value)) {
+            return zoom(previous, trial);
+        }
+        if (curved(trial)) return trial;
+        if (trial.slope >= 0) return zoom(trial, previous);
+
+        previous = trial;
+        step *= 2;
+    }
+    return previous.step > 0 ? previous : null;
+};
+
+function bfgsSearch(initial, costFunc, options) {
+    var maxIterations = options.maxIterations || 10000;
+    var tolerance = options.tolerance || 0.001;
+    var xTolerance = options.xTolerance || 1e-4;
+    var fTolerance = options.fTolerance || 1e-4;
+    var gTolerance = options.gTolerance || 1e-5;
+    var relTolerance = options.relTolerance || 1e-6;
+    var debug = options.debug == undefined ? false : options.debug;
+    var onIteration = options.onIteration || (debug ? logIteration : null);
+
+    var n = initial.length;
+    var lower = options.lower;
+    var upper = options.upper;
+
+    var evaluations = 0;
+    function evaluate(point) {
+        ++evaluations;
+        return costFunc(point);
+    };
+
+    function gradientAt(point, value) {
+        if (options.gradient) {
+            return new Float64Array(options.gradient(point));
+        }
+        return numericalGradient(evaluate, point, value, lower, upper);
+    };
+
+    var x = clampToBounds(new Float64Array(initial), lower, upper);
+    var value = evaluate(x);
+    var gradient = gradientAt(x, value);
+
+    // inverse Hessian approximation
+    var H = new Float64Array(n * n);
+    function resetCurvature() {
+        for (var i = 0; i < n * n; ++i) H[i] = 0;
+        for (var i = 0; i < n; ++i) H[i * n + i] = 1;
+    };
+    resetCurvature();
+    var fresh = true;
+
+    var direction = new Float64Array(n);
+    var lastStep = Infinity;
+    var stalls = 0;
+    var iterations = 1;
+    var reason = null;
+
+    function computeDirection() {
+        for (var i = 0; i < n; ++i) {
+            var sum = 0;
+            for (var j = 0; j < n; ++j) {
+                sum -= H[i * n + j] * gradient[j];
+            }
+            direction[i] = sum;
+        }
+    };
+
+    function phi(step) {
+        var point = new Float64Array(n);
+        for (var j = 0; j < n; ++j) {
+            point[j] = x[j] + step * direction[j];
+        }
+        clampToBounds(point, lower, upper);
+
+        var v = evaluate(point);
+        var g = gradientAt(point, v);
+        return { step: step, point: point, value: v, gradient: g, slope: sumOfProducts(g, direction) };
+    };
+
+    function search() {
+        computeDirection();
+        var slope = sumOfProducts(gradient, direction);
+        if (!(slope < 0)) return null;
+
+        // without curvature information, the gradient says little about the scale of the step
+        var initialStep = fresh ? Math.min(1, 1 / largestMagnitude(gradient)) : 1;
+        return wolfeLineSearch(phi, { step: 0, value: value, slope: slope }, initialStep);
+    };
+
+    function updateCurvature(s, y) {
+        var sy = sumOfProducts(s, y);
+        if (!(sy > 1e-12)) return;
+
+        if (fresh) {
+            // scale the identity to match the curvature along the first step
+            var scale = sy / sumOfProducts(y, y);
+            for (var i = 0; i < n; ++i) H[i * n + i] = scale;
+            fresh = false;
+        }
+
+        // H = (I - rho s y^T) H (I - rho y s^T) + rho s s^T
+        var rho = 1 / sy;
+        var Hy = new Float64Array(n);
+        for (var i = 0; i < n; ++i) {
+            var sum = 0;
+            for (var j = 0; j < n; ++j) {
+                sum += H[i * n + j] * y[j];
+            }
+            Hy[i] = sum;
+        }
+        var yHy = sumOfProducts(y, Hy);
+
+        for (var i = 0; i < n; ++i) {
+            for (var j = 0; j < n; ++j) {
+                H[i * n + j] += (1 + rho * yHy) * rho * s[i] * s[j]
+                    - rho * (Hy[i] * s[j] + s[i] * Hy[j]);
+            }
+        }
+    };
+
+    function finish() {
+        return {
+            done: true,
+            value: {
+                vars: x,
+                cost: value,
+                gradient: gradient,
+                iterations: iterations,
+                evaluations: evaluations,
+                reason: reason,
+                size: lastStep
+            }
+        };
+    };
+
+    function next() {
+        if (reason) return finish();
+
+        if (value < tolerance) {
+            reason = "tolerance";
+            return finish();
+        }
+
+        if (largestMagnitude(gradient) <= gTolerance) {
+            reason = "converged";
+            return finish();
+        }
+
+        if (iterations > maxIterations) {
+            reason = "maxIterations";
+            return finish();
+        }
+
+        var trial = search();
+        if (!trial && !fresh) {
+            resetCurvature();
+            fresh = true;
+            trial = search();
+        }
+
+        if (!trial) {
+            reason = "converged";
+            return finish();
+        }
+
+        var s = new Float64Array(n);
+        var y = new Float64Array(n);
+        lastStep = 0;
+        for (var j = 0; j < n; ++j) {
+            s[j] = trial.point[j] - x[j];
+            y[j] = trial.gradient[j] - gradient[j];
+            lastStep = Math.max(lastStep, Math.abs(s[j]));
+        }
+        var decrease = value - trial.value;
+
+        x = trial.point;
+        value = trial.value;
+        gradient = trial.gradient;
+        updateCurvature(s, y);
+
+        if (onIteration && onIteration({
+            step: "bfgs",
+            iteration: iterations,
+            points: [ new Float64Array(x) ],
+            images: [ value ]
+        }) === false) {
+            reason = "aborted";
+            return finish();
+        }
+
+        ++iterations;
+
+        // a single short step is common in curved valleys, so only stop after several
+        if (lastStep <= xTolerance + relTolerance * largestMagnitude(x) ||
+            decrease <= fTolerance + relTolerance * Math.abs(value)) {
+            if (++stalls >= 3) reason = "converged";
         } else {
-            for (var i = n - 1; i >= 0 && this.vertices[i + 1].image < this.vertices[i].image; i--) {
-                this.vertices[i + 1].swapWith(this.vertices[i]);
+            stalls = 0;
+        }
+
+        return { done: false, value: "bfgs" };
+    };
+
+    return { next: next };
+};
+function differentialEvolutionOptimize(initial, costFunc, options) {
+    return multivarOptimize(initial, costFunc, extendOptions(options, { method: "differential-evolution" }));
+};
+
+function differentialEvolutionSearch(initial, costFunc, options) {
+    var maxIterations = options.maxIterations || 1000;
+    var tolerance = options.tolerance || 0.001;
+    var fTolerance = options.fTolerance || 1e-4;
+    var relTolerance = options.relTolerance || 1e-6;
+    var weight = options.weight || 0.8;
+    var crossover = options.crossover == undefined ? 0.9 : options.crossover;
+    var spread = options.spread || 1;
+    var debug = options.debug == undefined ? false : options.debug;
+    var onIteration = options.onIteration || (debug ? logIteration : null);
+
+    var random = makeRandom(options.seed || 1);
+    var n = initial.length;
+    var size = Math.max(options.populationSize || Math.max(10 * n, 15), 4);
+
+    var lower = new Float64Array(n);
+    var upper = new Float64Array(n);
+    for (var j = 0; j < n; ++j) {
+        var hasLower = options.lower && options.lower[j] != null;
+        var hasUpper = options.upper && options.upper[j] != null;
+        lower[j] = hasLower ? options.lower[j] : initial[j] - spread;
+        upper[j] = hasUpper ? options.upper[j] : initial[j] + spread;
+    }
+
+    var evaluations = 0;
+    function evaluate(point) {
+        ++evaluations;
+        return costFunc(point);
+    };
+
+    var points = [];
+    var images = [];
+    var best = 0;
+    for (var i = 0; i < size; ++i) {
+        var point = new Float64Array(n);
+        for (var j = 0; j < n; ++j) {
+            point[j] = (i === 0) ? clamp(lower[j], upper[j], initial[j]) : lerp(lower[j], upper[j], random());
+        }
+        points.push(point);
+        images.push(evaluate(point));
+        if (images[i] < images[best]) best = i;
+    }
+
+    function pickOther(excluded) {
+        var k;
+        do {
+            k = Math.floor(random() * size);
+        } while (excluded.indexOf(k) !== -1);
+        return k;
+    };
+
+    var trial = new Float64Array(n);
+    var iterations = 1;
+    var reason = null;
+
+    function populationWidth() {
+        var result = 0;
+        for (var i = 0; i < size; ++i) {
+            for (var j = 0; j < n; ++j) {
+                result = Math.max(result, Math.abs(points[i][j] - points[best][j]));
             }
+        }
+        return result;
+    };
 
+    function finish() {
+        return {
+            done: true,
+            value: {
+                vars: points[best],
+                cost: images[best],
+                iterations: iterations,
+                evaluations: evaluations,
+                reason: reason,
+                size: populationWidth()
+            }
+        };
+    };
+
+    function converged() {
+        var worst = images[0];
+        for (var i = 1; i < size; ++i) {
+            worst = Math.max(worst, images[i]);
+        }
+        return worst - images[best] <= fTolerance + relTolerance * Math.abs(images[best]);
+    };
+
+    function next() {
+        if (reason) return finish();
+
+        if (images[best] < tolerance) {
+            reason = "tolerance";
+            return finish();
+        }
+
+        if (converged()) {
+            reason = "converged";
+            return finish();
+        }
+
+        if (iterations > maxIterations) {
+            reason = "maxIterations";
+            return finish();
+        }
+
+        for (var i = 0; i < size; ++i) {
+            var a = pickOther([i]);
+            var b = pickOther([i, a]);
+            var c = pickOther([i, a, b]);
+
+            // at least one coordinate always comes from the mutant
+            var forced = Math.floor(random() * n);
+            for (var j = 0; j < n; ++j) {
+                var x = points[i][j];
+                if (j === forced || random() < crossover) {
+                    x = points[a][j] + weight * (points[b][j] - points[c][j]);
+                    if (x < lower[j]) x = lerp(lower[j], points[i][j], random());
+                    if (x > upper[j]) x = lerp(points[i][j], upper[j], random());
+                }
+                trial[j] = x;
+            }
+
+            var image = evaluate(trial);
+            if (image <= images[i]) {
+                points[i].set(trial);
+                images[i] = image;
+                if (image < images[best]) best = i;
+            }
+        }
+
+        if (onIteration && onIteration({
+            step: "generation",
+            iteration: iterations,
+            points: points.map(function(p) { return new Float64Array(p); }),
+            images: images.slice()
+        }) === false) {
+            reason = "aborted";
+            return finish();
         }
-        this.getCentroid(centroid);
+
         ++iterations;
+        return { done: false, value: "generation" };
+    };
+
+    return { next: next };
+};
+function symmetricEigen(A, n) {
+    var a = new Float64Array(A);
+    var vectors = new Float64Array(n * n);
+    for (var i = 0; i < n; ++i) vectors[i * n + i] = 1;
+
+    for (var sweep = 0; sweep < 50; ++sweep) {
+        var off = 0;
+        for (var p = 0; p < n; ++p) {
+            for (var q = p + 1; q < n; ++q) {
+                off += a[p * n + q] * a[p * n + q];
+            }
+        }
+        if (off < 1e-22) break;
+
+        for (var p = 0; p < n; ++p) {
+            for (var q = p + 1; q < n; ++q) {
+                var apq = a[p * n + q];
+                if (apq === 0) continue;
+
+                // rotation which zeros a[p][q]
+                var theta = (a[q * n + q] - a[p * n + p]) / (2 * apq);
+                var t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                var c = 1 / Math.sqrt(t * t + 1);
+                var s = t * c;
+
+                for (var k = 0; k < n; ++k) {
+                    var akp = a[k * n + p];
+                    var akq = a[k * n + q];
+                    a[k * n + p] = c * akp - s * akq;
+                    a[k * n + q] = s * akp + c * akq;
+                }
+                for (var k = 0; k < n; ++k) {
+                    var apk = a[p * n + k];
+                    var aqk = a[q * n + k];
+                    a[p * n + k] = c * apk - s * aqk;
+                    a[q * n + k] = s * apk + c * aqk;
+                }
+                for (var k = 0; k < n; ++k) {
+                    var vkp = vectors[k * n + p];
+                    var vkq = vectors[k * n + q];
+                    vectors[k * n + p] = c * vkp - s * vkq;
+                    vectors[k * n + q] = s * vkp + c * vkq;
+                }
+            }
+        }
+    }
 
-        if (debug) console.log("best: ", this.vertices[0].point.join(", "), "score: ", this.vertices[0].image);
+    var values = new Float64Array(n);
+    for (var i = 0; i < n; ++i) values[i] = a[i * n + i];
+    return { values: values, vectors: vectors };
+};
+
+function cmaesOptimize(initial, costFunc, options) {
+    return multivarOptimize(initial, costFunc, extendOptions(options, { method: "cma-es" }));
+};
+
+function cmaesSearch(initial, costFunc, options) {
+    var maxIterations = options.maxIterations || 10000;
+    var tolerance = options.tolerance || 0.001;
+    var xTolerance = options.xTolerance || 1e-4;
+    var fTolerance = options.fTolerance || 1e-4;
+    var relTolerance = options.relTolerance || 1e-6;
+    var debug = options.debug == undefined ? false : options.debug;
+    var onIteration = options.onIteration || (debug ? logIteration : null);
+
+    var gaussian = makeGaussian(makeRandom(options.seed || 1));
+    var n = initial.length;
+
+    // strategy parameters, following Hansen's tutorial
+    var lambda = Math.max(options.populationSize || (4 + Math.floor(3 * Math.log(n))), 2);
+    var mu = Math.floor(lambda / 2);
+    var weights = new Float64Array(mu);
+    var weightSum = 0;
+    for (var i = 0; i < mu; ++i) {
+        weights[i] = Math.log(mu + 0.5) - Math.log(i + 1);
+        weightSum += weights[i];
+    }
+    var weightSquares = 0;
+    for (var i = 0; i < mu; ++i) {
+        weights[i] /= weightSum;
+        weightSquares += weights[i] * weights[i];
+    }
+    var mueff = 1 / weightSquares;
+
+    var cc = (4 + mueff / n) / (n + 4 + 2 * mueff / n);
+    var cs = (mueff + 2) / (n + mueff + 5);
+    var c1 = 2 / ((n + 1.3) * (n + 1.3) + mueff);
+    var cmu = Math.min(1 - c1, 2 * (mueff - 2 + 1 / mueff) / ((n + 2) * (n + 2) + mueff));
+    var damps = 1 + 2 * Math.max(0, Math.sqrt((mueff - 1) / (n + 1)) - 1) + cs;
+    var chiN = Math.sqrt(n) * (1 - 1 / (4 * n) + 1 / (21 * n * n));
+
+    var sigma = options.stepSize || 1;
+    var mean = clampToBounds(new Float64Array(initial), options.lower, options.upper);
+    var C = new Float64Array(n * n);
+    var steps = initialStepSizes(initial, options, 0.1, 1);
+    for (var j = 0; j < n; ++j) {
+        C[j * n + j] = steps[j] * steps[j];
+    }
+
+    var pc = new Float64Array(n);
+    var ps = new Float64Array(n);
+    var B = new Float64Array(n * n);
+    var D = new Float64Array(n);
+    var eigenAge = Infinity;
+    var eigenInterval = Math.max(1, Math.floor(1 / ((c1 + cmu) * n * 10)));
+
+    function decompose() {
+        var eigen = symmetricEigen(C, n);
+        B.set(eigen.vectors);
+        for (var j = 0; j < n; ++j) {
+            D[j] = Math.sqrt(Math.max(eigen.values[j], 0));
+        }
+        eigenAge = 0;
     };
 
-    return {
-        vars: this.vertices[0].point,
-        cost: this.vertices[0].image,
-        iterations: iterations
+    var evaluations = 0;
+    function evaluate(point) {
+        ++evaluations;
+        return costFunc(point);
+    };
+
+    var samples = [];
+    for (var k = 0; k < lambda; ++k) {
+        samples.push({ point: new Float64Array(n), step: new Float64Array(n), image: 0 });
+    }
+    var z = new Float64Array(n);
+
+    var bestPoint = new Float64Array(mean);
+    var bestImage = evaluate(bestPoint);
+    var spread = Infinity;
+
+    var iterations = 1;
+    var reason = null;
+
+    function largestDeviation() {
+        var result = 0;
+        for (var j = 0; j < n; ++j) {
+            result = Math.max(result, sigma * Math.sqrt(C[j * n + j]));
+        }
+        return result;
+    };
+
+    function finish() {
+        return {
+            done: true,
+            value: {
+                vars: bestPoint,
+                cost: bestImage,
+                iterations: iterations,
+                evaluations: evaluations,
+                reason: reason,
+                size: largestDeviation()
+            }
+        };
     };
+
+    function sample(s) {
+        for (var j = 0; j < n; ++j) z[j] = D[j] * gaussian();
+        for (var i = 0; i < n; ++i) {
+            var sum = 0;
+            for (var j = 0; j < n; ++j) {
+                sum += B[i * n + j] * z[j];
+            }
+            s.point[i] = mean[i] + sigma * sum;
+        }
+        clampToBounds(s.point, options.lower, options.upper);
+
+        for (var i = 0; i < n; ++i) {
+            s.step[i] = (s.point[i] - mean[i]) / sigma;
+        }
+        s.image = evaluate(s.point);
+    };
+
+    function next() {
+        if (reason) return finish();
+
+        if (bestImage < tolerance) {
+            reason = "tolerance";
+            return finish();
+        }
+
+        if (largestDeviation() <= xTolerance + relTolerance * largestMagnitude(mean) &&
+            spread <= fTolerance + relTolerance * Math.abs(bestImage)) {
+            reason = "converged";
+            return finish();
+        }
+
+        if (iterations > maxIterations) {
+            reason = "maxIterations";
+            return finish();
+        }
+
+        if (eigenAge >= eigenInterval) decompose();
+        ++eigenAge;
+
+        var maxD = 0;
+        var minD = Infinity;
+        for (var j = 0; j < n; ++j) {
+            maxD = Math.max(maxD, D[j]);
+            minD = Math.min(minD, D[j]);
+        }
+        if (!(sigma * maxD > 0) || maxD > 1e7 * minD) {
+            reason = "converged";
+            return finish();
+        }
+
+        for (var k = 0; k < lambda; ++k) {
+            sample(samples[k]);
+        }
+        samples.sort(function(a, b) { return a.image - b.image; });
+        spread = samples[lambda - 1].image - samples[0].image;
+
+        if (samples[0].image < bestImage) {
+            bestImage = samples[0].image;
+            bestPoint.set(samples[0].point);
+        }
+
+        // weighted average of the best steps
+        var meanStep = new Float64Array(n);
+        for (var k = 0; k < mu; ++k) {
+            for (var j = 0; j < n; ++j) {
+                meanStep[j] += weights[k] * samples[k].step[j];
+            }
+        }
+        for (var j = 0; j < n; ++j) {
+            mean[j] += sigma * meanStep[j];
+        }
+
+        // C^(-1/2) meanStep = B D^(-1) B^T meanStep
+        var projected = new Float64Array(n);
+        for (var j = 0; j < n; ++j) {
+            var sum = 0;
+            for (var i = 0; i < n; ++i) {
+                sum += B[i * n + j] * meanStep[i];
+            }
+            projected[j] = sum / D[j];
+        }
+
+        var csFactor = Math.sqrt(cs * (2 - cs) * mueff);
+        var psNorm = 0;
+        for (var i = 0; i < n; ++i) {
+            var sum = 0;
+            for (var j = 0; j < n; ++j) {
+                sum += B[i * n + j] * projected[j];
+            }
+            ps[i] = (1 - cs) * ps[i] + csFactor * sum;
+            psNorm += ps[i] * ps[i];
+        }
+        psNorm = Math.sqrt(psNorm);
+
+        var hsig = psNorm / Math.sqrt(1 - Math.pow(1 - cs, 2 * iterations)) / chiN < 1.4 + 2 / (n + 1) ? 1 : 0;
+
+        var ccFactor = Math.sqrt(cc * (2 - cc) * mueff);
+        for (var j = 0; j < n; ++j) {
+            pc[j] = (1 - cc) * pc[j] + hsig * ccFactor * meanStep[j];
+        }
+
+        for (var a = 0; a < n; ++a) {
+            for (var b = 0; b <= a; ++b) {
+                var rankMu = 0;
+                for (var k = 0; k < mu; ++k) {
+                    rankMu += weights[k] * samples[k].step[a] * samples[k].step[b];
+                }
+                var value = (1 - c1 - cmu) * C[a * n + b]
+                    + c1 * (pc[a] * pc[b] + (1 - hsig) * cc * (2 - cc) * C[a * n + b])
+                    + cmu * rankMu;
+                C[a * n + b] = value;
+                C[b * n + a] = value;
+            }
+        }
+
+        sigma *= Math.exp((cs / damps) * (psNorm / chiN - 1));
+
+        if (onIteration && onIteration({
+            step: "generation",
+            iteration: iterations,
+            points: samples.map(function(s) { return new Float64Array(s.point); }),
+            images: samples.map(function(s) { return s.image; })
+        }) === false) {
+            reason = "aborted";
+            return finish();
+        }
+
+        ++iterations;
+        return { done: false, value: "generation" };
+    };
+
+    return { next: next };
+};
+function randomPointInBounds(initial, lower, upper, random) {
+    var point = new Float64Array(initial);
+    for (var j = 0; j < point.length; ++j) {
+        var low = lower ? lower[j] : null;
+        var high = upper ? upper[j] : null;
+        if (low != null && high != null) {
+            point[j] = lerp(low, high, random());
+        }
+    }
+    return point;
+};
+
+function multiStartOptimize(initial, costFunc, options) {
+    var optimize = options.optimize || multivarOptimize;
+    var restarts = options.restarts || 0;
+    var random = makeRandom(options.seed || 1);
+
+    var starts = [initial].concat(options.starts || []);
+    for (var i = 0; i < (options.randomStarts || 0); ++i) {
+        starts.push(randomPointInBounds(initial, options.lower, options.upper, random));
+    }
+
+    var history = [];
+    var best = 0;
+    var iterations = 0;
+    var evaluations = 0;
+    var aborted = false;
+
+    function run(point, callback) {
+        return whenDone(optimize(point, costFunc, options), function(result) {
+            iterations += result.iterations;
+            evaluations += result.evaluations;
+            aborted = aborted || result.reason === "aborted";
+            return callback(result);
+        });
+    };
+
+    function restart(result, k) {
+        if (aborted || result.restarts >= restarts) {
+            return record(result, k);
+        }
+
+        return run(result.vars, function(next) {
+            if (!(next.cost < result.cost)) return record(result, k);
+
+            next.initial = result.initial;
+            next.restarts = result.restarts + 1;
+            return restart(next, k);
+        });
+    };
+
+    function record(result, k) {
+        history.push(result);
+        if (result.cost < history[best].cost) best = k;
+        return start(k + 1);
+    };
+
+    function start(k) {
+        if (aborted || k >= starts.length) return finish();
+
+        return run(starts[k], function(result) {
+            result.initial = starts[k];
+            result.restarts = 0;
+            return restart(result, k);
+        });
+    };
+
+    function finish() {
+        return {
+            vars: history[best].vars,
+            cost: history[best].cost,
+            residuals: history[best].residuals,
+            iterations: iterations,
+            evaluations: evaluations,
+            reason: aborted ? "aborted" : history[best].reason,
+            size: history[best].size,
+            start: best,
+            history: history
+        };
+    };
+
+    return start(0);
+};
+function whenDone(value, callback) {
+    if (value && typeof value.then === "function") {
+        return value.then(callback);
+    }
+    return callback(value);
+};
+
+function nextFrame(callback) {
+    if (typeof requestAnimationFrame === "function") {
+        requestAnimationFrame(callback);
+    } else {
+        setTimeout(callback, 0);
+    }
+};
+
+function runInSlices(search, timeBudget) {
+    return new Promise(function(resolve, reject) {
+        function slice() {
+            var deadline = Date.now() + timeBudget;
+            try {
+                var state = search.next();
+                while (!state.done && Date.now() < deadline) {
+                    state = search.next();
+                }
+            } catch (error) {
+                reject(error);
+                return;
+            }
+
+            if (state.done) {
+                resolve(state.value);
+            } else {
+                nextFrame(slice);
+            }
+        };
+
+        nextFrame(slice);
+    });
+};
+
+function multivarOptimizeAsync(initial, costFunc, options) {
+    if (hasFixedVariables(options)) {
+        return optimizeFreeVariables(initial, costFunc, options, multivarOptimizeAsync);
+    }
+
+    return runInSlices(makeSearch(initial, costFunc, options), options.timeBudget || 8);
 };
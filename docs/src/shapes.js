@@ -0,0 +1,751 @@
+// License: MIT
+function simpleEllipseDistance(point, size) {
+    const a = Math.abs(size.x);
+    const b = Math.abs(size.y);
+    const px = Math.abs(point.x);
+    const py = Math.abs(point.y);
+
+    // degenerate ellipses are line segments
+    if (a === 0) return Math.hypot(px, Math.max(py - b, 0));
+    if (b === 0) return Math.hypot(Math.max(px - a, 0), py);
+
+    let tx = Math.SQRT1_2;
+    let ty = Math.SQRT1_2;
+
+    for (let i = 0; i < 3; ++i) {
+        const x = a * tx;
+        const y = b * ty;
+
+        // center of curvature of the ellipse at (x, y)
+        const ex = (a * a - b * b) * tx * tx * tx / a;
+        const ey = (b * b - a * a) * ty * ty * ty / b;
+
+        const r = Math.hypot(x - ex, y - ey);
+        const q = Math.hypot(px - ex, py - ey);
+        if (q === 0) break;
+
+        tx = clamp(0, 1, ((px - ex) * r / q + ex) / a);
+        ty = clamp(0, 1, ((py - ey) * r / q + ey) / b);
+
+        const t = Math.hypot(tx, ty);
+        tx /= t;
+        ty /= t;
+    }
+
+    return Math.hypot(px - a * tx, py - b * ty);
+};
+
+function orientedEllipseDistances2(points, ellipse) {
+    const A = buildTransform(ellipse.origin, ellipse.angle);
+    const B = AffineTransform.inverse(A);
+
+    const localPoints = points.map(p => B.transform(p));
+    return sumOfSquares(localPoints.map(p => simpleEllipseDistance(p, ellipse.size)));
+};
+
+function varsToEllipse(vars) {
+    return {
+        origin: new Vec(vars[0], vars[1]),
+        size: new Vec(vars[2], vars[3]),
+        angle: vars[4]
+    };
+};
+
+function makeEllipseCost(points) {
+    return vars => orientedEllipseDistances2(points, varsToEllipse(vars));
+};
+
+const ellipseModel = {
+    parameters: [
+        { name: "origin.x", kind: "position" },
+        { name: "origin.y", kind: "position" },
+        { name: "size.x", kind: "size", lower: 0 },
+        { name: "size.y", kind: "size", lower: 0 },
+        { name: "angle", kind: "angle" }
+    ],
+    guess: points => {
+        const centroid = Vec.centroid(points);
+        const [minPoint, maxPoint] = Vec.bounds(points);
+        return [
+            centroid.x, centroid.y,
+            (maxPoint.x - minPoint.x) / 2, (maxPoint.y - minPoint.y) / 2,
+            0
+        ];
+    },
+    fromVars: varsToEllipse,
+    cost: makeEllipseCost,
+    matches: ellipseMatches
+};
+
+function tryEllipseFit(points, optimize = multivarOptimize, profile = recognitionProfiles.standard) {
+    return fitModel(ellipseModel, points, { optimize: optimize }, profile);
+};
+
+function ellipsePerimeter(size) {
+    const a = size.x;
+    const b = size.y;
+    return Math.PI * (3 * (a + b) - Math.sqrt((3 * a + b) * (a + 3 * b)));
+};
+
+function ellipseMatches(path, ellipse, profile = recognitionProfiles.standard) {
+    const a = ellipse.size.x;
+    const b = ellipse.size.y;
+    if (2 * Math.min(a, b) < profile.minimumSize) return false;
+    if (Math.max(a, b) / Math.min(a, b) < profile.minimumAspect) return false;
+
+    const ratio = Vec.pathLen(path) / ellipsePerimeter(ellipse.size);
+    return Math.abs(ratio - 1.0) < profile.lengthTolerance;
+};
+function closedPath(vertices) {
+    return vertices.concat([ vertices[0] ]);
+};
+
+function polygonDistance(point, vertices) {
+    return pathDistance(closedPath(vertices), point);
+};
+
+function polygonPerimeter(vertices) {
+    return Vec.pathLen(closedPath(vertices));
+};
+
+function signedArea(vertices) {
+    let sum = 0;
+    for (let i = 0; i < vertices.length; ++i) {
+        const a = vertices[i];
+        const b = vertices[(i + 1) % vertices.length];
+        sum += a.x * b.y - b.x * a.y;
+    }
+    return sum / 2;
+};
+
+function varsToTriangle(vars) {
+    return {
+        vertices: [
+            new Vec(vars[0], vars[1]),
+            new Vec(vars[2], vars[3]),
+            new Vec(vars[4], vars[5])
+        ]
+    };
+};
+
+function makeTriangleResiduals(points) {
+    return vars => {
+        const vertices = varsToTriangle(vars).vertices;
+        return points.map(p => polygonDistance(p, vertices));
+    };
+};
+
+function makeTriangleCost(points) {
+    const residuals = makeTriangleResiduals(points);
+    return vars => sumOfSquares(residuals(vars));
+};
+
+function farthestPoint(points, distance) {
+    return points.reduce((a, b) => distance(b) > distance(a) ? b : a);
+};
+
+function triangleGuess(points) {
+    const centroid = Vec.centroid(points);
+    const a = farthestPoint(points, p => Vec.dist(p, centroid));
+    const b = farthestPoint(points, p => Vec.dist(p, a));
+
+    const normal = Vec.sub(b, a).orthogonal();
+    const c = farthestPoint(points, p => Math.abs(Vec.sub(p, a).dot(normal)));
+
+    const corners = signedArea([ a, b, c ]) < 0 ? [ a, c, b ] : [ a, b, c ];
+    return [].concat(...corners.map(p => [ p.x, p.y ]));
+};
+
+const triangleModel = {
+    parameters: [
+        { name: "a.x", kind: "position" },
+        { name: "a.y", kind: "position" },
+        { name: "b.x", kind: "position" },
+        { name: "b.y", kind: "position" },
+        { name: "c.x", kind: "position" },
+        { name: "c.y", kind: "position" }
+    ],
+    guess: triangleGuess,
+    fromVars: varsToTriangle,
+    cost: makeTriangleCost,
+    residuals: makeTriangleResiduals,
+    matches: triangleMatches
+};
+
+function tryTriangleFit(points, optimize = multivarOptimize, profile = recognitionProfiles.standard) {
+    return fitModel(triangleModel, points, { optimize: optimize }, profile);
+};
+
+function triangleMatches(path, triangle, profile = recognitionProfiles.standard) {
+    const vertices = triangle.vertices;
+    const edges = [
+        Vec.dist(vertices[0], vertices[1]),
+        Vec.dist(vertices[1], vertices[2]),
+        Vec.dist(vertices[2], vertices[0])
+    ];
+
+    const height = 2 * Math.abs(signedArea(vertices)) / Math.max(...edges);
+    if (height < profile.minimumSize) return false;
+
+    const ratio = Vec.pathLen(path) / polygonPerimeter(vertices);
+    return Math.abs(ratio - 1.0) < profile.lengthTolerance;
+};
+function turningAngle(before, point, after) {
+    const a = Vec.sub(point, before);
+    const b = Vec.sub(after, point);
+    return Math.abs(Math.atan2(a.x * b.y - a.y * b.x, a.dot(b)));
+};
+
+function findCorners(points, profile, closed = true) {
+    const n = points.length;
+    const window = Math.max(2, Math.floor(n / 30));
+    const at = i => points[(i + n) % n];
+
+    const angles = points.map((p, i) => {
+        if (!closed && (i - window < 0 || i + window >= n)) return 0;
+        return turningAngle(at(i - window), p, at(i + window));
+    });
+
+    const corners = [];
+    for (let i = 0; i < n; ++i) {
+        if (angles[i] < profile.cornerAngle) continue;
+
+        let isPeak = true;
+        for (let j = 1; j <= window; ++j) {
+            // ties go to the earlier point
+            if (angles[(i + j) % n] > angles[i] || angles[(i - j + n) % n] >= angles[i]) {
+                isPeak = false;
+            }
+        }
+        if (isPeak) corners.push({ index: i, angle: angles[i] });
+    }
+
+    return corners.sort((a, b) => b.angle - a.angle);
+};
+
+function varsToPolygon(vars) {
+    const vertices = [];
+    for (let i = 0; i < vars.length; i += 2) {
+        vertices.push(new Vec(vars[i], vars[i + 1]));
+    }
+    return { vertices: vertices };
+};
+
+function makePolygonResiduals(points) {
+    return vars => {
+        const vertices = varsToPolygon(vars).vertices;
+        return points.map(p => polygonDistance(p, vertices));
+    };
+};
+
+function vertexParameters(count) {
+    const parameters = [];
+    for (let i = 0; i < count; ++i) {
+        parameters.push({ name: "vertex" + i + ".x", kind: "position" });
+        parameters.push({ name: "vertex" + i + ".y", kind: "position" });
+    }
+    return parameters;
+};
+
+function makePolygonModel(corners) {
+    return {
+        parameters: vertexParameters(corners.length),
+        guess: () => [].concat(...corners.map(p => [ p.x, p.y ])),
+        fromVars: varsToPolygon,
+        cost: points => {
+            const residuals = makePolygonResiduals(points);
+            return vars => sumOfSquares(residuals(vars));
+        },
+        residuals: makePolygonResiduals,
+        matches: polygonMatches
+    };
+};
+
+function sharpestCorners(points, candidates, count) {
+    return candidates
+        .slice(0, count)
+        .sort((a, b) => a.index - b.index)
+        .map(corner => points[corner.index]);
+};
+
+function fitBestModel(models, points, optimize, profile) {
+    const score = shape => selectionScore(shape, points.length, profile);
+    const options = { optimize: optimize, maxIterations: profile.maxCandidateIterations };
+
+    let leader = null;
+    let best = null;
+    function fitNext(i) {
+        if (i === models.length) return best;
+
+        const model = models[i];
+        const pending = fitModel(Object.assign({}, model, { matches: null }), points, options, profile);
+        return whenDone(pending, shape => {
+            const improved = !leader || score(shape) < score(leader);
+            if (!improved && shape.parameterCount > leader.parameterCount) return best;
+            if (improved) leader = shape;
+
+            if (model.matches(points, shape.params, profile) && (!best || score(shape) < score(best))) {
+                best = shape;
+            }
+            return fitNext(i + 1);
+        });
+    };
+
+    return fitNext(0);
+};
+
+function endsMeet(path, profile) {
+    const gap = Vec.dist(path[0], path[path.length - 1]);
+    return gap < profile.closeGap * Vec.pathLen(path);
+};
+
+function tryPolygonFit(points, optimize = multivarOptimize, profile = recognitionProfiles.standard) {
+    if (!endsMeet(points, profile)) return null;
+    const candidates = findCorners(points, profile);
+    if (candidates.length > profile.maxSides) return null;
+
+    const models = [];
+    for (let sides = 4; sides <= Math.min(profile.maxSides, candidates.length); ++sides) {
+        models.push(makePolygonModel(sharpestCorners(points, candidates, sides)));
+    }
+    return fitBestModel(models, points, optimize, profile);
+};
+
+function polygonMatches(path, polygon, profile = recognitionProfiles.standard) {
+    const vertices = polygon.vertices;
+    if (!endsMeet(path, profile)) return false;
+
+    const outline = closedPath(vertices);
+    for (let i = 1; i < outline.length; ++i) {
+        if (Vec.dist(outline[i - 1], outline[i]) < profile.minimumSize) return false;
+    }
+
+    const ratio = Vec.pathLen(path) / polygonPerimeter(vertices);
+    return Math.abs(ratio - 1.0) < profile.lengthTolerance;
+};
+function makePolylineResiduals(points) {
+    const first = points[0];
+    const last = points[points.length - 1];
+
+    return vars => {
+        const vertices = varsToPolygon(vars).vertices;
+        return points.map(p => pathDistance(vertices, p)).concat([
+            Vec.dist(vertices[0], first),
+            Vec.dist(vertices[vertices.length - 1], last)
+        ]);
+    };
+};
+
+function makePolylineModel(vertices) {
+    return {
+        parameters: vertexParameters(vertices.length),
+        guess: () => [].concat(...vertices.map(p => [ p.x, p.y ])),
+        fromVars: varsToPolygon,
+        cost: points => {
+            const residuals = makePolylineResiduals(points);
+            return vars => sumOfSquares(residuals(vars));
+        },
+        residuals: makePolylineResiduals,
+        matches: polylineMatches
+    };
+};
+
+function tryPolylineFit(points, optimize = multivarOptimize, profile = recognitionProfiles.standard) {
+    if (endsMeet(points, profile)) return null;
+    const candidates = findCorners(points, profile, false);
+    if (candidates.length >= profile.maxSides) return null;
+
+    const first = points[0];
+    const last = points[points.length - 1];
+
+    const models = [];
+    for (let corners = 1; corners < Math.min(profile.maxSides, candidates.length + 1); ++corners) {
+        const vertices = [ first ].concat(sharpestCorners(points, candidates, corners), [ last ]);
+        models.push(makePolylineModel(vertices));
+    }
+    return fitBestModel(models, points, optimize, profile);
+};
+
+function pathPosition(path, point) {
+    let nearest = Infinity;
+    let position = 0;
+    let start = 0;
+    for (let i = 1; i < path.length; ++i) {
+        const ab = Vec.sub(path[i], path[i - 1]);
+        const length = ab.len();
+        const t = clamp(0, 1, Vec.sub(point, path[i - 1]).dot(ab) / Math.max(length * length, 1e-12));
+        const distance = Vec.dist(point, Vec.add(path[i - 1], Vec.scale(ab, t)));
+        if (distance < nearest) {
+            nearest = distance;
+            position = start + t * length;
+        }
+        start += length;
+    }
+    return position;
+};
+
+function backtrackLength(stroke, path) {
+    const positions = stroke.map(p => pathPosition(path, p));
+    let total = 0;
+    for (let i = 1; i < positions.length; ++i) {
+        total += Math.max(0, positions[i - 1] - positions[i]);
+    }
+    return total;
+};
+
+function polylineMatches(path, polyline, profile = recognitionProfiles.standard) {
+    const vertices = polyline.vertices;
+    if (endsMeet(path, profile)) return false;
+
+    for (let i = 1; i < vertices.length; ++i) {
+        if (Vec.dist(vertices[i - 1], vertices[i]) < profile.minimumSize) return false;
+    }
+
+    const length = Vec.pathLen(vertices);
+    if (backtrackLength(path, vertices) > profile.lengthTolerance * length) return false;
+
+    const ratio = Vec.pathLen(path) / length;
+    return Math.abs(ratio - 1.0) < profile.lengthTolerance;
+};
+function wrapAngle(angle) {
+    const turn = 2 * Math.PI;
+    return ((angle % turn) + turn) % turn;
+};
+
+function arcSweep(arc) {
+    return wrapAngle(arc.end - arc.start);
+};
+
+function arcEnds(arc) {
+    return [
+        Vec.add(arc.origin, Vec.scale(Vec.fromAngle(arc.start), arc.radius)),
+        Vec.add(arc.origin, Vec.scale(Vec.fromAngle(arc.end), arc.radius))
+    ];
+};
+
+function besideArc(point, arc) {
+    const v = Vec.sub(point, arc.origin);
+    return wrapAngle(Math.atan2(v.y, v.x) - arc.start) <= arcSweep(arc);
+};
+
+function arcEndDistance(point, arc) {
+    const [ a, b ] = arcEnds(arc);
+    return Math.min(Vec.dist(point, a), Vec.dist(point, b));
+};
+
+function arcDistance(point, arc) {
+    return besideArc(point, arc) ? circleDistance(point, arc) : arcEndDistance(point, arc);
+};
+
+function arcResidual(point, arc) {
+    if (!besideArc(point, arc)) return arcEndDistance(point, arc);
+    return Vec.sub(point, arc.origin).len() - arc.radius;
+};
+
+function varsToArc(vars) {
+    return {
+        origin: new Vec(vars[0], vars[1]),
+        radius: vars[2],
+        start: vars[3],
+        end: vars[4]
+    };
+};
+
+function makeArcResiduals(points) {
+    return vars => {
+        const arc = varsToArc(vars);
+        return points.map(p => arcResidual(p, arc));
+    };
+};
+
+function makeArcCost(points) {
+    return vars => {
+        const arc = varsToArc(vars);
+        return sumOfSquares(points.map(p => arcDistance(p, arc)));
+    };
+};
+
+function circleThrough(a, b, c) {
+    const d = 2 * (a.x * (b.y - c.y) + b.x * (c.y - a.y) + c.x * (a.y - b.y));
+    if (Math.abs(d) < 1e-9) return null;
+
+    const a2 = a.lenSqr();
+    const b2 = b.lenSqr();
+    const c2 = c.lenSqr();
+    const origin = new Vec(
+        (a2 * (b.y - c.y) + b2 * (c.y - a.y) + c2 * (a.y - b.y)) / d,
+        (a2 * (c.x - b.x) + b2 * (a.x - c.x) + c2 * (b.x - a.x)) / d
+    );
+    return { origin: origin, radius: Vec.dist(origin, a) };
+};
+
+function arcGuess(points) {
+    const first = points[0];
+    const middle = points[Math.floor(points.length / 2)];
+    const last = points[points.length - 1];
+
+    const circle = circleThrough(first, middle, last);
+    if (!circle) return null;
+
+    const angleOf = p => Math.atan2(p.y - circle.origin.y, p.x - circle.origin.x);
+    let start = angleOf(first);
+    let end = angleOf(last);
+    if (wrapAngle(angleOf(middle) - start) > wrapAngle(end - start)) {
+        [ start, end ] = [ end, start ];
+    }
+
+    return [ circle.origin.x, circle.origin.y, circle.radius, start, end ];
+};
+
+const arcModel = {
+    parameters: [
+        { name: "origin.x", kind: "position" },
+        { name: "origin.y", kind: "position" },
+        { name: "radius", kind: "size", lower: 0 },
+        { name: "start", kind: "angle" },
+        { name: "end", kind: "angle" }
+    ],
+    guess: arcGuess,
+    fromVars: varsToArc,
+    cost: makeArcCost,
+    residuals: makeArcResiduals,
+    matches: arcMatches
+};
+
+function tryArcFit(points, optimize = multivarOptimize, profile = recognitionProfiles.standard) {
+    if (!arcGuess(points)) return null;
+    return fitModel(arcModel, points, { optimize: optimize }, profile);
+};
+
+function arcMatches(path, arc, profile = recognitionProfiles.standard) {
+    if (2.0 * arc.radius < profile.minimumSize) return false;
+
+    const sweep = arcSweep(arc);
+    if (sweep < profile.minimumSweep) return false;
+
+    const ratio = Vec.pathLen(path) / (arc.radius * sweep);
+    return Math.abs(ratio - 1.0) < profile.lengthTolerance;
+};
+function regularPolygonVertices(polygon) {
+    const vertices = [];
+    for (let i = 0; i < polygon.sides; ++i) {
+        const angle = polygon.angle + 2 * Math.PI * i / polygon.sides;
+        vertices.push(Vec.add(polygon.origin, Vec.scale(Vec.fromAngle(angle), polygon.radius)));
+    }
+    return vertices;
+};
+
+function starVertices(star) {
+    const vertices = [];
+    for (let i = 0; i < 2 * star.points; ++i) {
+        const angle = star.angle + Math.PI * i / star.points;
+        const radius = i % 2 === 0 ? star.radius : star.innerRadius;
+        vertices.push(Vec.add(star.origin, Vec.scale(Vec.fromAngle(angle), radius)));
+    }
+    return vertices;
+};
+
+function makeVertexResiduals(toVertices) {
+    return points => vars => {
+        const vertices = toVertices(vars);
+        return points.map(p => polygonDistance(p, vertices));
+    };
+};
+
+function makeVertexCost(toVertices) {
+    const makeResiduals = makeVertexResiduals(toVertices);
+    return points => {
+        const residuals = makeResiduals(points);
+        return vars => sumOfSquares(residuals(vars));
+    };
+};
+
+function regularGuess(points) {
+    const origin = Vec.centroid(points);
+    const outer = farthestPoint(points, p => Vec.dist(p, origin));
+    const inner = farthestPoint(points, p => -Vec.dist(p, origin));
+    const direction = Vec.sub(outer, origin);
+
+    return {
+        origin: origin,
+        radius: direction.len(),
+        innerRadius: Vec.dist(inner, origin),
+        angle: Math.atan2(direction.y, direction.x)
+    };
+};
+
+function makeRegularPolygonModel(sides) {
+    const fromVars = vars => ({
+        origin: new Vec(vars[0], vars[1]),
+        radius: vars[2],
+        angle: vars[3],
+        sides: sides
+    });
+    const toVertices = vars => regularPolygonVertices(fromVars(vars));
+
+    return {
+        parameters: [
+            { name: "origin.x", kind: "position" },
+            { name: "origin.y", kind: "position" },
+            { name: "radius", kind: "size", lower: 0 },
+            { name: "angle", kind: "angle" }
+        ],
+        guess: points => {
+            const guess = regularGuess(points);
+            return [ guess.origin.x, guess.origin.y, guess.radius, guess.angle ];
+        },
+        fromVars: fromVars,
+        cost: makeVertexCost(toVertices),
+        residuals: makeVertexResiduals(toVertices),
+        matches: (path, polygon, profile) => {
+            return regularMatches(path, regularPolygonVertices(polygon), polygon.radius, profile);
+        }
+    };
+};
+
+function makeStarModel(count) {
+    const fromVars = vars => ({
+        origin: new Vec(vars[0], vars[1]),
+        radius: vars[2],
+        innerRadius: vars[3],
+        angle: vars[4],
+        points: count
+    });
+    const toVertices = vars => starVertices(fromVars(vars));
+
+    return {
+        parameters: [
+            { name: "origin.x", kind: "position" },
+            { name: "origin.y", kind: "position" },
+            { name: "radius", kind: "size", lower: 0 },
+            { name: "innerRadius", kind: "size", lower: 0 },
+            { name: "angle", kind: "angle" }
+        ],
+        guess: points => {
+            const guess = regularGuess(points);
+            return [ guess.origin.x, guess.origin.y, guess.radius, guess.innerRadius, guess.angle ];
+        },
+        fromVars: fromVars,
+        cost: makeVertexCost(toVertices),
+        residuals: makeVertexResiduals(toVertices),
+        matches: (path, star, profile) => {
+            // a star whose corners barely poke out is a regular polygon
+            if (star.innerRadius > (1 - profile.minimumStarDepth) * star.radius) return false;
+            return regularMatches(path, starVertices(star), star.innerRadius, profile);
+        }
+    };
+};
+
+function nearbyCounts(estimate, lowest, highest) {
+    const counts = [ estimate - 1, estimate, estimate + 1 ];
+    return counts.filter(count => count >= lowest && count <= highest);
+};
+
+function alternatesInAndOut(points, corners) {
+    const origin = Vec.centroid(points);
+    const radii = corners
+        .map(corner => corner.index)
+        .sort((a, b) => a - b)
+        .map(index => Vec.dist(points[index], origin));
+    const middle = 0.5 * (Math.min(...radii) + Math.max(...radii));
+
+    // one missed or extra corner puts two neighbors on the same side
+    let same = 0;
+    for (let i = 0; i < radii.length; ++i) {
+        const next = radii[(i + 1) % radii.length];
+        if ((radii[i] > middle) === (next > middle)) ++same;
+    }
+    return same <= 1;
+};
+
+function tryRegularPolygonFit(points, optimize = multivarOptimize, profile = recognitionProfiles.standard) {
+    if (!endsMeet(points, profile)) return null;
+
+    const corners = findCorners(points, profile).length;
+    if (corners > profile.maxSides + 1) return null;
+
+    const models = nearbyCounts(corners, 5, profile.maxSides).map(makeRegularPolygonModel);
+    return fitBestModel(models, points, optimize, profile);
+};
+
+function tryStarFit(points, optimize = multivarOptimize, profile = recognitionProfiles.standard) {
+    if (!endsMeet(points, profile)) return null;
+
+    const corners = findCorners(points, profile);
+    if (corners.length < 7 || corners.length > 2 * profile.maxSides + 1) return null;
+    if (!alternatesInAndOut(points, corners)) return null;
+
+    const models = nearbyCounts(Math.round(corners.length / 2), 4, profile.maxSides).map(makeStarModel);
+    return fitBestModel(models, points, optimize, profile);
+};
+
+function regularMatches(path, vertices, radius, profile) {
+    if (!endsMeet(path, profile)) return false;
+    if (2.0 * radius < profile.minimumSize) return false;
+
+    const ratio = Vec.pathLen(path) / polygonPerimeter(vertices);
+    return Math.abs(ratio - 1.0) < profile.lengthTolerance;
+};
+
+registerShapeType({
+    name: "ellipse",
+    fit: tryEllipseFit,
+    draw: (ctx, shape) => {
+        const ellipse = shape.params;
+        ctx.beginPath();
+        ctx.ellipse(ellipse.origin.x, ellipse.origin.y, ellipse.size.x, ellipse.size.y, ellipse.angle, 0.0, Math.PI * 2.0);
+        ctx.closePath();
+        ctx.stroke();
+    },
+    hitTest: (shape, point, tolerance) => {
+        const ellipse = shape.params;
+        const B = AffineTransform.inverse(buildTransform(ellipse.origin, ellipse.angle));
+        return simpleEllipseDistance(B.transform(point), ellipse.size) <= tolerance;
+    },
+    toSVG: shape => {
+        const ellipse = shape.params;
+        const cx = svgNumber(ellipse.origin.x);
+        const cy = svgNumber(ellipse.origin.y);
+        const degrees = svgNumber(ellipse.angle * 180 / Math.PI);
+        return `<ellipse cx="${cx}" cy="${cy}" rx="${svgNumber(ellipse.size.x)}" ry="${svgNumber(ellipse.size.y)}" transform="rotate(${degrees} ${cx} ${cy})"/>`;
+    }
+});
+registerShapeType(Object.assign(
+    { name: "triangle", fit: tryTriangleFit },
+    pathRendering(shape => closedPath(shape.params.vertices))
+));
+registerShapeType(Object.assign(
+    { name: "polygon", fit: tryPolygonFit },
+    pathRendering(shape => closedPath(shape.params.vertices))
+));
+registerShapeType(Object.assign(
+    { name: "polyline", fit: tryPolylineFit },
+    pathRendering(shape => shape.params.vertices)
+));
+registerShapeType({
+    name: "arc",
+    fit: tryArcFit,
+    draw: (ctx, shape) => {
+        const arc = shape.params;
+        ctx.beginPath();
+        ctx.arc(arc.origin.x, arc.origin.y, arc.radius, arc.start, arc.end);
+        ctx.stroke();
+    },
+    hitTest: (shape, point, tolerance) => arcDistance(point, shape.params) <= tolerance,
+    toSVG: shape => {
+        const arc = shape.params;
+        const [ a, b ] = arcEnds(arc);
+        const r = svgNumber(arc.radius);
+        const large = arcSweep(arc) > Math.PI ? 1 : 0;
+        return `<path d="M${svgNumber(a.x)} ${svgNumber(a.y)} A${r} ${r} 0 ${large} 1 ${svgNumber(b.x)} ${svgNumber(b.y)}"/>`;
+    }
+});
+registerShapeType(Object.assign(
+    { name: "regular-polygon", fit: tryRegularPolygonFit },
+    pathRendering(shape => closedPath(regularPolygonVertices(shape.params)))
+));
+
+registerShapeType(Object.assign(
+    { name: "star", fit: tryStarFit },
+    pathRendering(shape => closedPath(starVertices(shape.params)))
+));
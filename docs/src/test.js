@@ -0,0 +1,76 @@
+// License: MIT
+"use strict";
+
+var assert = require("assert");
+var fs = require("fs");
+var path = require("path");
+var vm = require("vm");
+
+var tests = [];
+function test(name, body) {
+    tests.push({ name: name, body: body });
+};
+
+test("bfgs follows the rosenbrock valley to its minimum", function(m) {
+    var result = m.multivarOptimize([1.5, 1.5], m.residualCost(m.rosenbrockResiduals), {
+        method: "bfgs",
+        tolerance: 1e-12
+    });
+    assert.strictEqual(result.reason, "converged");
+    assert.ok(Math.abs(result.vars[0] - 1) < 1e-4 && Math.abs(result.vars[1] - 1) < 1e-4);
+});
+
+test("bfgs does not evaluate the cost outside the bounds", function(m) {
+    function cost(vars) {
+        if (vars[2] < 0) return NaN;
+        return Math.pow(vars[0] - 4, 2) + Math.pow(vars[1] - 4, 2) + Math.pow(vars[2] - 3, 2);
+    };
+    var result = m.multivarOptimize([1, 1, 0], cost, {
+        method: "bfgs",
+        lower: [null, null, 0]
+    });
+    assert.ok(result.cost < 1e-3);
+});
+
+test("fixed variables may be marked with any truthy value", function(m) {
+    ["nelder-mead", "bfgs"].forEach(function(method) {
+        var result = m.multivarOptimize([3, 3], m.residualCost(m.sphereResiduals), {
+            method: method,
+            fixed: [1, 0]
+        });
+        assert.strictEqual(result.vars[0], 3, method);
+    });
+});
+
+test("least squares without residuals fails clearly", function(m) {
+    assert.throws(function() {
+        m.multivarOptimize([3, 3], m.residualCost(m.sphereResiduals), { method: "least-squares" });
+    }, /requires options.residuals/);
+});
+
+test("multiStartOptimize keeps the residuals of the best least squares run", function(m) {
+    var result = m.multiStartOptimize([3, 3], m.residualCost(m.boothResiduals), {
+        method: "least-squares",
+        residuals: m.boothResiduals,
+        starts: [[0, 0]]
+    });
+    assert.strictEqual(result.residuals.length, 2);
+    assert.ok(Math.abs(m.sumOfSquaredTerms(result.residuals) - result.cost) < 1e-12);
+});
+
+var context = vm.createContext({ console: console, performance: performance });
+["math.js", "benchmarks.js"].forEach(function(file) {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, file), "utf8"), context);
+});
+
+var failures = 0;
+tests.forEach(function(t) {
+    try {
+        t.body(context);
+        console.log("ok - " + t.name);
+    } catch (error) {
+        ++failures;
+        console.log("not ok - " + t.name + "\n    " + error.message);
+    }
+});
+process.exitCode = failures > 0 ? 1 : 0;
@@ -0,0 +1,52 @@
+// License: MIT
+
+"use strict";
+importScripts("math.js", "assist.js");
+try {
+    importScripts("shapes.js");
+} catch (error) {
+    // the extra shapes aren't written yet
+}
+
+var queue = [];
+var scheduled = false;
+
+onmessage = function(e) {
+    var message = e.data;
+    if (message.type === "fit") {
+        queue.push(message);
+        schedule();
+    } else if (message.type === "cancel") {
+        queue = queue.filter(function(job) { return job.id !== message.id; });
+    }
+};
+
+function schedule() {
+    if (scheduled) return;
+    scheduled = true;
+    setTimeout(runNextJob, 0);
+}
+
+function runNextJob() {
+    scheduled = false;
+
+    var job = queue.shift();
+    if (!job) return;
+
+    postMessage({ type: "fit", id: job.id, shape: fitJob(job) });
+    if (queue.length > 0) schedule();
+}
+
+function fitJob(job) {
+    var path = job.path.map(function(p) { return new Vec(p[0], p[1]); });
+    try {
+        var shape = tryShapeFit(path, job.profile);
+        if (shape && typeof shapeToJSON === "function") {
+            return shapeToJSON(shape);
+        }
+        return shape || null;
+    } catch (error) {
+        console.error(error);
+        return null;
+    }
+}